@@ -3,12 +3,16 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const zlib = require('zlib');
+const net = require('net');
+const http = require('http');
 const { execSync, spawn } = require('child_process');
 const httpServer = require('http-server');
 const puppeteer = require('puppeteer');
 const { glob } = require('glob');
 const minimist = require('minimist');
 const prompts = require('prompts');
+const { version: WINDRIP_VERSION } = require('../package.json');
 
 /**
 * List of required dependencies.
@@ -29,6 +33,7 @@ const REQUIRED_PACKAGES = [
 */
 const OPTIONAL_PACKAGES = {
     minify: ['clean-css'],
+    minifyJs: ['terser'],
 };
 
 /**
@@ -40,7 +45,6 @@ const DEFAULT_CONFIG = {
     outputDir: 'windrip',
     cssOutput: 'build.css',
     jsOutput: 'build.js',
-    hashFile: '.csshash',
     port: 7890,
     tailwindCdn: 'https://cdn.tailwindcss.com',
     configFile: 'tailwind.config.js',
@@ -51,6 +55,7 @@ const DEFAULT_CONFIG = {
     fileExtensions: ['html', 'php', 'twig', 'jsx', 'vue', 'svelte'],
     serverCommand: null,
     minify: false,
+    minifyJs: false,
     tailwindConfig: JSON.stringify({ theme: { extend: {} }, plugins: [] }),
     verbose: false,
     dryRun: false,
@@ -58,32 +63,159 @@ const DEFAULT_CONFIG = {
     timeout: 30000,
     retries: 3,
     includeExternal: false,
+    copyAssets: false,
+    assetsDir: 'assets',
     unlinkExternal: false,
+    nonDestructive: false,
+    backupDir: '.windrip-backups',
+    backupRetention: 5,
+    preflight: true,
+    tailwindRuntime: null,
+    tailwindRuntimeIntegrity: null,
+    manifestFile: 'windrip-manifest.json',
+    routes: null,
+    crawl: null,
+    interactions: null,
+    safelist: [],
+    sharedSafelist: false,
+    safelistOutput: 'safelist.css',
+    commonChunk: false,
+    commonChunkMinPages: 2,
+    commonOutput: 'common.css',
+    cacheDir: '.windrip-cache',
+    force: false,
+    outputNaming: 'mirror',
+    hashFilenames: false,
+    concurrency: 1,
+    browserContexts: false,
+    serverReadyPattern: null,
+    serverReadyTimeout: 30000,
+    watchDebounce: 200,
+    liveReload: true,
+    liveReloadPort: 35729,
+    proxyPort: 3000,
+    proxyTarget: null,
+    static: false,
+    extractors: {},
+    auditIgnore: [],
+    budgets: null,
+    budgetCompression: null,
 };
 
+/**
+* Default options for crawl mode.
+* @constant {Object}
+*/
+const DEFAULT_CRAWL_OPTIONS = {
+    entry: '/',
+    maxDepth: 3,
+    maxPages: 100,
+    include: [],
+    exclude: [],
+};
+
+/**
+* Links to files that are never crawled as pages.
+* @constant {RegExp}
+*/
+const CRAWL_SKIP_EXTENSIONS = /\.(?:css|js|mjs|json|xml|txt|pdf|zip|gz|png|jpe?g|gif|svg|webp|avif|ico|woff2?|ttf|eot|mp3|mp4|webm)$/i;
+
 /** * Default server commands for file extensions.
 * @constant {Object}
 * */
 const DEFAULT_SERVER_COMMANDS = {
     php: {
         fileExtension: 'php',
-        args: ['php', '-S', 'localhost:7890'],
+        args: ['php', '-S', 'localhost:{port}'],
     },
     html: {
         fileExtension: 'html',
-        args: ['npx', 'http-server', '-p', '7890'],
+        args: ['npx', 'http-server', '-p', '{port}'],
     },
 };
 
 /**
-* Backup manager for source files
+* Class extractors run by file extension, in addition to the generic patterns in
+* extractClasses. `extractors` in windrip.config.js adds to these.
+* @constant {Object<string, Function[]>}
+*/
+const DEFAULT_EXTRACTORS = {
+    php: [extractBladeClasses, extractAlpineClasses],
+    html: [extractAlpineClasses],
+    twig: [extractTwigClasses, extractAlpineClasses],
+    vue: [extractAlpineClasses, extractClsxClasses],
+    svelte: [extractClsxClasses],
+    jsx: [extractClsxClasses],
+    tsx: [extractClsxClasses],
+    js: [extractClsxClasses],
+    ts: [extractClsxClasses],
+};
+
+/**
+* Path the `serve` proxy answers with the pinned Tailwind runtime.
+* @constant {string}
+*/
+const PROXY_RUNTIME_PATH = '/__windrip/tailwind.js';
+
+/**
+* Matches the live reload client injected into templates during watch mode.
+* @constant {RegExp}
+*/
+const LIVE_RELOAD_PATTERN = /<script data-windrip-live-reload[^>]*>[\s\S]*?<\/script>\s*/g;
+
+/**
+* Matches script tags moved into the JS bundle. They are commented out rather than
+* removed, so later builds and renders still find them in document order.
+* @constant {RegExp}
+*/
+const BUNDLED_SCRIPT_PATTERN = /<!-- windrip:bundled (<script\b[\s\S]*?<\/script>) -->/g;
+
+/**
+* Prefix of same-origin `url()`s in external CSS until the file the CSS is written
+* to is known, e.g. `url("windrip-asset:/fonts/inter.woff2")`.
+* @constant {string}
+*/
+const ASSET_URL_PREFIX = 'windrip-asset:';
+
+/**
+* Words that make up Tailwind utility names, used to suggest fixes for typos in
+* classes that generated no CSS.
+* @constant {Set<string>}
+*/
+const TAILWIND_TOKENS = new Set([
+    // Colors
+    'slate', 'gray', 'zinc', 'neutral', 'stone', 'red', 'orange', 'amber', 'yellow', 'lime', 'green', 'emerald',
+    'teal', 'cyan', 'sky', 'blue', 'indigo', 'violet', 'purple', 'fuchsia', 'pink', 'rose', 'white', 'black',
+    'transparent', 'current', 'inherit',
+    // Utility prefixes and keywords
+    'text', 'bg', 'border', 'rounded', 'shadow', 'font', 'leading', 'tracking', 'opacity', 'flex', 'grid', 'gap',
+    'items', 'justify', 'content', 'self', 'place', 'order', 'col', 'cols', 'row', 'rows', 'span', 'start', 'end',
+    'center', 'between', 'around', 'evenly', 'stretch', 'baseline', 'wrap', 'nowrap', 'grow', 'shrink', 'basis',
+    'block', 'inline', 'hidden', 'table', 'contents', 'absolute', 'relative', 'fixed', 'sticky', 'static',
+    'visible', 'invisible', 'overflow', 'scroll', 'inset', 'top', 'right', 'bottom', 'left', 'z', 'container',
+    'min', 'max', 'screen', 'full', 'auto', 'none', 'ring', 'outline', 'divide', 'space', 'cursor', 'pointer',
+    'select', 'transition', 'duration', 'ease', 'delay', 'animate', 'transform', 'scale', 'rotate', 'translate',
+    'skew', 'origin', 'fill', 'stroke', 'object', 'cover', 'contain', 'aspect', 'square', 'video', 'underline',
+    'uppercase', 'lowercase', 'capitalize', 'italic', 'truncate', 'whitespace', 'break', 'words', 'list', 'disc',
+    'decimal', 'float', 'clear', 'box', 'sr', 'only', 'thin', 'light', 'normal', 'medium', 'semibold', 'bold',
+    'extrabold', 'sans', 'serif', 'mono', 'tight', 'snug', 'relaxed', 'loose', 'wide', 'wider', 'widest', 'solid',
+    'dashed', 'dotted', 'double', 'inner', 'gradient', 'from', 'via', 'to', 'blur', 'backdrop', 'filter', 'sm',
+    'md', 'lg', 'xl', 'xs', 'prose', 'group', 'peer',
+]);
+
+/**
+* Backup manager for source files. When a journal directory is given, every backup
+* is also written to disk so a later process can roll files back.
 */
 class BackupManager {
-    constructor(enabled = true, verbose = false) {
+    constructor(enabled = true, verbose = false, options = {}) {
         this.enabled = enabled;
         this.verbose = verbose;
         this.backups = new Map();
         this.fs = require('fs/promises');
+        this.journalDir = options.journalDir || null;
+        this.retention = options.retention || DEFAULT_CONFIG.backupRetention;
+        this.runId = options.runId || new Date().toISOString().replace(/[:.]/g, '-');
     }
 
     async backup(filePath) {
@@ -91,12 +223,27 @@ class BackupManager {
         try {
             const content = await this.fs.readFile(filePath, 'utf-8');
             this.backups.set(filePath, content);
+            if (this.journalDir) await this.writeJournalEntry(filePath, content);
             if (this.verbose) console.log(`Backed up ${filePath}`);
         } catch (err) {
             console.warn(`Failed to backup ${filePath}: ${err.message}`);
         }
     }
 
+    async writeJournalEntry(filePath, content) {
+        const runDir = path.join(this.journalDir, this.runId);
+        const absolutePath = path.resolve(filePath);
+        const entry = {
+            file: absolutePath,
+            hash: crypto.createHash('sha256').update(content).digest('hex'),
+            timestamp: new Date().toISOString(),
+            content,
+        };
+        const entryName = crypto.createHash('sha256').update(absolutePath).digest('hex').slice(0, 16);
+        await this.fs.mkdir(runDir, { recursive: true });
+        await this.fs.writeFile(path.join(runDir, `${entryName}.json`), JSON.stringify(entry));
+    }
+
     async restore(filePath) {
         if (!this.enabled || !this.backups.has(filePath)) return false;
         try {
@@ -109,10 +256,65 @@ class BackupManager {
         }
     }
 
-    async restoreAll() {
-        if (!this.enabled) return;
-        const promises = Array.from(this.backups.keys()).map(filePath => this.restore(filePath));
-        await Promise.all(promises);
+    /**
+    * Restores every backed-up file. Without a run ID the backups of the current
+    * process are used; with one, the backups are loaded from that run's journal.
+    * @param {string} [runId] - Journal run to restore from
+    * @returns {Promise<number>} Number of restored files
+    */
+    async restoreAll(runId = null) {
+        if (!this.enabled) return 0;
+        if (runId) await this.loadRun(runId);
+        const results = await Promise.all(Array.from(this.backups.keys()).map(filePath => this.restore(filePath)));
+        return results.filter(Boolean).length;
+    }
+
+    async loadRun(runId) {
+        if (!this.journalDir) throw new Error('No backup journal directory configured');
+        const runDir = path.join(this.journalDir, runId);
+        let entries;
+        try {
+            entries = await this.fs.readdir(runDir);
+        } catch {
+            throw new Error(`Backup run not found: ${runId}`);
+        }
+        this.backups.clear();
+        for (const name of entries.filter(entry => entry.endsWith('.json')).sort()) {
+            const entry = JSON.parse(await this.fs.readFile(path.join(runDir, name), 'utf-8'));
+            const hash = crypto.createHash('sha256').update(entry.content).digest('hex');
+            if (hash !== entry.hash) {
+                console.warn(`Skipping corrupted backup of ${entry.file} in run ${runId}`);
+                continue;
+            }
+            this.backups.set(entry.file, entry.content);
+        }
+    }
+
+    /**
+    * Lists journal runs, oldest first.
+    * @returns {Promise<string[]>} Run IDs
+    */
+    async listRuns() {
+        if (!this.journalDir) return [];
+        try {
+            const entries = await this.fs.readdir(this.journalDir, { withFileTypes: true });
+            return entries.filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+    * Removes the oldest journal runs beyond the retention limit. The first run holds
+    * the sources as they were before Windrip changed them, so it is always kept.
+    * @returns {Promise<void>}
+    */
+    async prune() {
+        const runs = await this.listRuns();
+        for (const runId of runs.slice(1, Math.max(1, runs.length - this.retention))) {
+            await this.fs.rm(path.join(this.journalDir, runId), { recursive: true, force: true });
+            if (this.verbose) console.log(`Pruned backup run ${runId}`);
+        }
     }
 }
 
@@ -182,39 +384,26 @@ async function ensureDependencies(packages, autoInstall) {
 /**
 * Extracts Tailwind CSS and JS from frontend files in a directory, generating build files.
 * @param {Object} options - Configuration options
-* @returns {Promise<void>}
+* @param {Object} [options.session] - Open session from createSession to render with; it is left open
+* @param {boolean} [options.auditOnly] - Render pages without writing build files, for audit
+* @returns {Promise<{pages: Object[], sources: Object<string, string>}>} Classes seen and generated on each
+* rendered page, and the content the build rendered and linked for each source file
 */
 async function extractTailwind(options = {}) {
+    const { session: sharedSession, ...buildOptions } = options;
     const defaultConfig = await loadConfig();
-    const config = { ...defaultConfig, ...options };
+    const config = { ...defaultConfig, ...buildOptions };
 
     // --- Ensure default server command applies in both CLI and API usage ---
     const dynamicExtensions = ['php', 'twig'];
-    const hasPhp = config.fileExtensions.includes('php');
-    const hasTwig = config.fileExtensions.includes('twig');
-    const hasHtml = config.fileExtensions.includes('html');
-
-    if (!config.serverCommand) {
-        if (hasPhp || hasTwig) {
-            config.serverCommand = `${DEFAULT_SERVER_COMMANDS.php.args.join(' ')}`;
-            if (config.verbose) {
-                console.log(`No --server-command provided, using default for PHP/Twig: ${config.serverCommand}`);
-            }
-        } else if (hasHtml) {
-            config.serverCommand = `${DEFAULT_SERVER_COMMANDS.html.args.join(' ')}`;
-            if (config.verbose) {
-                console.log(`No --server-command provided, using default for HTML: ${config.serverCommand}`);
-            }
-        }
-    }
+    config.serverCommand = defaultServerCommand(config);
 
     const {
         input,
         outputDir,
         cssOutput,
         jsOutput,
-        hashFile,
-        port,
+        port: preferredPort,
         tailwindCdn,
         configFile,
         recursive,
@@ -229,37 +418,133 @@ async function extractTailwind(options = {}) {
         timeout,
         retries,
         unlinkExternal,
+        nonDestructive,
+        backupDir,
+        backupRetention,
+        manifestFile,
+        routes,
+        safelist,
+        sharedSafelist,
+        safelistOutput,
+        commonChunk,
+        commonChunkMinPages,
+        commonOutput,
+        cacheDir,
+        force,
+        outputNaming,
+        hashFilenames,
+        concurrency,
+        browserContexts,
+        auditOnly,
+        budgets,
+        budgetCompression,
     } = config;
+    const writeOutputs = !dryRun && !auditOnly;
+    const crawl = config.crawl && { ...DEFAULT_CRAWL_OPTIONS, ...defaultConfig.crawl, ...config.crawl };
     if (verbose) console.log('Configuration:', JSON.stringify(config, null, 2));
     const required = [...REQUIRED_PACKAGES];
     if (minify) required.push(...OPTIONAL_PACKAGES.minify);
+    if (config.minifyJs) required.push(...OPTIONAL_PACKAGES.minifyJs);
     await ensureDependencies(required, autoInstall);
     let CleanCSS;
+    let Terser;
     if (minify) CleanCSS = require('clean-css');
+    if (config.minifyJs) Terser = require('terser');
+    const minifyCss = (css, label) => {
+        if (!minify || !css) return css;
+        try {
+            return new CleanCSS().minify(css).styles;
+        } catch (err) {
+            console.warn(`CSS minification failed for ${label}: ${err.message}`);
+            return css;
+        }
+    };
+    // Build files written so far, by unhashed name, and their sizes for the size table
+    const assets = new Map();
+    const sizes = new Map();
+    const writeAsset = async (fileName, content, unminified = null) => {
+        const hash = crypto.createHash('sha256').update(content).digest('hex');
+        const file = hashFilenames ? hashedFileName(fileName, hash) : fileName;
+        await fs.mkdir(path.dirname(path.join(outputDir, file)), { recursive: true });
+        await fs.writeFile(path.join(outputDir, file), content);
+        assets.set(fileName, { file, bytes: Buffer.byteLength(content), hash });
+        sizes.set(fileName, measureSizes(content, unminified));
+    };
+    // Files referenced by external CSS and copied into assetsDir, by URL path
+    const copiedAssets = new Map();
+    const writeCss = async (fileName, css) => {
+        const localized = await localizeAssetUrls(css, fileName, {
+            input, outputDir, copyAssets: config.copyAssets, assetsDir: config.assetsDir, copied: copiedAssets, verbose,
+        });
+        return writeAsset(fileName, minifyCss(localized, fileName), minify ? localized : null);
+    };
+    const writeJs = async (fileName, code) => {
+        if (!config.minifyJs || !code) return writeAsset(fileName, code);
+        try {
+            return writeAsset(fileName, (await Terser.minify(code)).code, code);
+        } catch (err) {
+            console.warn(`JS minification failed for ${fileName}: ${err.message}`);
+            return writeAsset(fileName, code);
+        }
+    };
+    const assetFile = fileName => assets.get(fileName).file;
     try {
         const stats = await fs.stat(input);
         if (!stats.isDirectory()) throw new Error(`Input path is not a directory: ${input}`);
     } catch {
         throw new Error(`Input directory not found: ${input}`);
     }
-    if (!dryRun) await fs.mkdir(outputDir, { recursive: true });
-    const pattern = recursive ? `**/*.{${fileExtensions.join(',')}}` : `*.{${fileExtensions.join(',')}}`;
-    let files;
-    try {
-        files = await glob(pattern, {
-            cwd: input,
-            absolute: true,
-            ignore: ['node_modules/**/*', '.git/**/*', `${outputDir}/**/*`],
-        });
-    } catch (err) {
-        throw new Error(`Failed to scan directory: ${err.message}`);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error(`concurrency must be a positive integer, got ${concurrency}`);
     }
-    if (verbose) console.log('Files found:', files);
-    if (files.length === 0) {
-        console.warn(`No matching files found in ${input} with extensions: ${fileExtensions.join(', ')}`);
-        return;
+    const extractors = resolveExtractors(config.extractors);
+    if (budgetCompression && !['gzip', 'brotli'].includes(budgetCompression)) {
+        throw new Error(`Unknown budgetCompression "${budgetCompression}"; use "gzip" or "brotli"`);
+    }
+    Object.values(budgets || {}).forEach(parseSize);
+    if (!['mirror', 'flat'].includes(outputNaming)) {
+        throw new Error(`Unknown outputNaming "${outputNaming}"; use "mirror" or "flat"`);
+    }
+    if (writeOutputs) await fs.mkdir(outputDir, { recursive: true });
+    const cacheRoot = path.join(outputDir, cacheDir);
+    let files = [];
+    if (!routes && !crawl) {
+        const pattern = recursive ? `**/*.{${fileExtensions.join(',')}}` : `*.{${fileExtensions.join(',')}}`;
+        try {
+            files = await glob(pattern, {
+                cwd: input,
+                absolute: true,
+                ignore: ['node_modules/**/*', '.git/**/*', `${outputDir}/**/*`],
+            });
+        } catch (err) {
+            throw new Error(`Failed to scan directory: ${err.message}`);
+        }
+        files.sort();
+        if (verbose) console.log('Files found:', files);
+        if (files.length === 0) {
+            console.warn(`No matching files found in ${input} with extensions: ${fileExtensions.join(', ')}`);
+            return { pages: [], sources: {} };
+        }
     }
-    const backupManager = new BackupManager(backupOriginals, verbose);
+    const port = sharedSession ? sharedSession.port : await resolvePort(serverCommand, preferredPort, verbose);
+    // Each page is rendered once; routes and crawling map URLs to named outputs instead of source files
+    const pages = routes || crawl
+        ? expandRoutes(crawl ? [].concat(crawl.entry) : routes, port).map(route => ({
+            ...route,
+            template: route.template && path.resolve(input, route.template),
+        }))
+        : files.map(file => ({
+            file,
+            url: null,
+            name: outputName(path.relative(path.resolve(input), file).replace(/\\/g, '/'), outputNaming),
+            template: file,
+        }));
+    if (verbose && routes && !crawl) console.log('Routes:', pages.map(page => `${page.url} -> ${page.name}`));
+    const crawled = new Set(pages.map(page => page.url));
+    const backupManager = new BackupManager(backupOriginals, verbose, {
+        journalDir: dryRun ? null : path.join(outputDir, backupDir),
+        retention: backupRetention,
+    });
     const hasDynamicFiles = files.some(file => dynamicExtensions.includes(path.extname(file).slice(1)));
     if (hasDynamicFiles && !serverCommand) {
         console.warn(
@@ -268,7 +553,7 @@ async function extractTailwind(options = {}) {
         );
     }
     let shouldUnlinkExternal = unlinkExternal;
-    if (!autoInstall && !unlinkExternal) {
+    if (!autoInstall && !unlinkExternal && !auditOnly) {
         if (process.stdin.isTTY) {
             const { confirm } = await prompts({
                 type: 'confirm',
@@ -283,115 +568,289 @@ async function extractTailwind(options = {}) {
             shouldUnlinkExternal = false;
         }
     }
-    let serverProcess, server, browser;
+    let session = sharedSession || null;
+    let contexts = [];
     const errors = [];
+    let overBudget = [];
+    let result;
     try {
-        if (serverCommand) {
-            const [command, ...args] = serverCommand.split(' ');
-            try {
-                serverProcess = spawn(command, args, { stdio: 'inherit', cwd: path.resolve(input) });
-            } catch (err) {
-                throw new Error(`Failed to start custom server: ${err.message}`);
-            }
-        } else if (!dryRun) {
-            server = httpServer.createServer({ root: path.resolve(input) });
-            await new Promise((resolve, reject) => {
-                server.listen(port, err => {
-                    if (err) reject(new Error(`Server failed to start: ${err.message}`));
-                    else {
-                        if (verbose) console.log(`HTTP server started on port ${port}`);
-                        resolve();
-                    }
-                });
-            });
-        }
-        if (!dryRun) {
-            browser = await puppeteer.launch({
-                headless: 'new',
-                args: ['--no-sandbox', '--disable-setuid-sandbox'],
-            });
-        }
+        // Static builds compile the classes found in sources without a server or browser
+        const staticCompiler = config.static ? loadStaticCompiler(Boolean(routes || crawl)) : null;
+        if (!session && !dryRun && !staticCompiler) session = await createSession(config, { port, pages });
+        const browser = session && session.browser;
+        // Loaded in dry runs too, since the runtime is part of every page's cache key
+        let runtime;
+        if (staticCompiler) runtime = staticCompiler.runtime;
+        else runtime = session ? session.runtime : await loadTailwindRuntime(config);
+        const fingerprint = await buildFingerprint(config, runtime);
+        const renderedPages = [];
+        const builtSources = new Map();
+        // Only watch mode links the live reload client; any other build removes it
+        const htmlOptions = { liveReloadPort: sharedSession && sharedSession.liveReloadPort };
         let allClasses = new Set();
-        let allCss = '';
-        let allScripts = new Set();
-        for (const file of files) {
-            if (verbose) console.log(`Processing ${file}...`);
-            try {
+        const combined = [];
+        const outputs = new Map();
+        const safelisted = new Set();
+        const pageStats = new Map();
+        const sharedCss = [];
+        // CSS files linked by a page, by unhashed name
+        const pageCss = name => separateBuilds ? [...sharedCss, `${name}.css`] : [cssOutput];
+        let safelistRules = [];
+        // Rewrites applied to each linked template, replayed on rendered sources for their cache keys
+        const linkedSources = new Map();
+        const linkTemplate = async (template, css, js, separate, options) => {
+            if (routes) await backupManager.backup(template);
+            linkedSources.set(template, content => linkBuildFiles(content, template, css, js, outputDir, shouldUnlinkExternal, options));
+            await updateHtml(template, css, js, tailwindCdn, separate, outputDir, verbose, shouldUnlinkExternal, options);
+        };
+        // Renders a page, or reads it from the cache; resolves to null for pages a dry run skips
+        const renderPage = async ({ file, url, name, interactions = [] }, target) => {
+            const label = file || url;
+            if (verbose) console.log(`Processing ${label}...`);
+            let classes = new Set();
+            const pageKey = file ? path.relative(path.resolve(input), file).replace(/\\/g, '/') : urlPath(url);
+            const pageInteractions = [...resolveInteractions(config.interactions, pageKey), ...[].concat(interactions)];
+            let result = null;
+            let fileContent = null;
+            let source = null;
+            if (file) {
                 await backupManager.backup(file);
-                let fileContent = await fs.readFile(file, 'utf-8');
-                let classes = extractClasses(fileContent);
-                const classString = Array.from(classes).sort().join(' ');
-                const hash = crypto.createHash('sha256').update(classString).digest('hex');
+                fileContent = source = await fs.readFile(file, 'utf-8');
+                classes = extractClasses(fileContent, path.extname(file).slice(1), extractors);
+                const hash = pageCacheKey(fingerprint, fileContent, pageInteractions);
                 if (verbose) console.log(`Classes found in ${file}:`, Array.from(classes));
-                const fileHashPath = separateBuilds
-                    ? path.join(outputDir, `${path.basename(file, path.extname(file))}${hashFile}`)
-                    : path.join(outputDir, hashFile);
-                let existingHash = '';
-                try {
-                    existingHash = await fs.readFile(fileHashPath, 'utf-8');
-                } catch { }
-                if (existingHash === hash) {
-                    if (verbose) console.log(`No changes in ${file}. Skipping.`);
-                    continue;
-                }
-                if (dryRun) {
+                const cached = !force && await readCacheEntry(cacheRoot, pageKey);
+                if (cached && cached.hash === hash && await scriptFilesUnchanged(cached.scriptFiles, input)) {
+                    if (verbose) console.log(`No changes in ${file}. Using cached CSS.`);
+                    result = cached;
+                } else if (dryRun) {
                     console.log(`Would process ${file} with hash ${hash.substring(0, 8)}...`);
-                    continue;
-                }
-                await fs.writeFile(fileHashPath, hash);
-                if (!fileContent.includes(tailwindCdn)) {
-                    fileContent = injectTailwindCdn(fileContent, tailwindCdn, configFile, config.tailwindConfig);
+                    return null;
+                } else if (!nonDestructive && !staticCompiler && !fileContent.includes(tailwindCdn)) {
+                    // In non-destructive mode the CDN is injected into the HTTP response instead
+                    // Bundled scripts run from their original tags while the page renders
+                    fileContent = injectTailwindCdn(restoreBundledScripts(fileContent), tailwindCdn, configFile, config.tailwindConfig, safelist);
                     await fs.writeFile(file, fileContent);
                 }
-                const { css, scripts, domClasses } = await processWithBrowser(
-                    browser, file, input, port, timeout, retries, verbose, tailwindCdn, jsOutput, config.includeExternal
+            } else if (dryRun) {
+                console.log(`Would ${crawl ? 'crawl from' : 'render'} ${url} into ${name}`);
+                return null;
+            }
+            if (!result && staticCompiler) {
+                result = await compileStatic(staticCompiler, classes, config);
+            } else if (!result) {
+                // Routes have no single source file, so the CDN always goes into the response
+                result = await processWithBrowser(
+                    target, label, input, port, timeout, retries, verbose, tailwindCdn, config.includeExternal,
+                    {
+                        url,
+                        injectCdn: nonDestructive || !file,
+                        configFile,
+                        tailwindConfig: config.tailwindConfig,
+                        // Audits safelist the source classes, so those missing from the DOM (in markup
+                        // the page didn't render, say) are only reported when they generate no CSS
+                        safelist: auditOnly && file ? [...safelist, ...classes] : safelist,
+                        preflight: config.preflight,
+                        runtime,
+                        interactions: pageInteractions,
+                    }
                 );
-                classes = new Set([...classes, ...domClasses]);
-                let finalCss = css;
-                if (minify && css) {
-                    try {
-                        finalCss = new CleanCSS().minify(css).styles;
-                    } catch (err) {
-                        console.warn(`CSS minification failed for ${file}: ${err.message}`);
+            }
+            // File pages bundle the scripts in their source, cached along with their CSS; routes
+            // bundle the scripts in the HTML they were served
+            let scripts = result.scripts;
+            if (!scripts) {
+                scripts = await collectScripts(file ? source : result.html, {
+                    tailwindCdn, file, input, outputDir, pageUrl: file ? null : url, verbose,
+                });
+                if (file) result = { ...result, scripts, scriptFiles: await scriptFileTimes(scripts, { file, input }) };
+            }
+            return { pageKey, pageInteractions, classes, result, scripts, source };
+        };
+        // Each worker renders in its own context when pages must not share cookies or storage
+        contexts = browser && browserContexts
+            ? await Promise.all(Array.from({ length: concurrency }, () => browser.createBrowserContext()))
+            : [];
+        // Pages render concurrently but are merged in page order, so the output doesn't depend on
+        // which page finishes first. Crawling renders each batch of newly discovered pages in turn.
+        for (let start = 0; start < pages.length;) {
+            const batch = pages.slice(start);
+            start = pages.length;
+            const rendered = await runPool(batch, concurrency, (page, index, worker) =>
+                renderPage(page, contexts[worker] || browser).then(value => ({ value }), error => ({ error }))
+            );
+            for (const [index, { value, error }] of rendered.entries()) {
+                const { file, url, name, template, depth = 0 } = batch[index];
+                const label = file || url;
+                try {
+                    if (error) throw error;
+                    if (!value) continue;
+                    const { pageKey, pageInteractions, result, scripts, source } = value;
+                    const { rules, domClasses, links } = result;
+                    if (file) renderedPages.push({ file, pageKey, pageInteractions, result, source });
+                    const classes = new Set([...value.classes, ...domClasses]);
+                    pageStats.set(pageKey, {
+                        name,
+                        classCount: classes.size,
+                        // Routes have no source file to compare the rendered classes with
+                        sourceClasses: file ? [...value.classes] : null,
+                        domClasses: [...domClasses],
+                        generatedClasses: [...new Set(rules.flatMap(rule => selectorClasses(rule.css)))],
+                    });
+                    if (crawl && depth < crawl.maxDepth) {
+                        for (const link of filterCrawlLinks(links, url, crawl, crawled)) {
+                            if (pages.length >= crawl.maxPages) break;
+                            pages.push({ url: link, name: routeName(link), template: null, depth: depth + 1 });
+                            if (verbose) console.log(`Discovered ${link} (depth ${depth + 1})`);
+                        }
                     }
+                    // Classes generated only because the safelist forced them
+                    rules.forEach(rule => selectorClasses(rule.css).forEach(className => {
+                        if (!classes.has(className) && matchesSafelist(className, safelist)) safelisted.add(className);
+                    }));
+                    if (separateBuilds) {
+                        let pageRules = rules;
+                        if (sharedSafelist && safelist.length > 0) {
+                            safelistRules = mergeRules(safelistRules, rules.filter(rule => isSafelistRule(rule, safelist)));
+                            pageRules = rules.filter(rule => !isSafelistRule(rule, safelist));
+                        }
+                        // Several routes may share a name; their rules are merged into one output
+                        const output = outputs.get(name) || { rules: [], scripts: [], templates: new Set() };
+                        output.rules = mergeRules(output.rules, pageRules);
+                        output.scripts.push(scripts);
+                        if (template) output.templates.add(template);
+                        outputs.set(name, output);
+                    } else {
+                        classes.forEach(c => allClasses.add(c));
+                        combined.push({ label, rules, scripts });
+                    }
+                } catch (err) {
+                    console.error(`Error processing ${label}: ${err.message}`);
+                    errors.push(`Error processing ${label}: ${err.message}`);
+                    if (file) await backupManager.restore(file);
                 }
-                if (separateBuilds) {
-                    const outputBase = path.basename(file);
-                    await fs.writeFile(path.join(outputDir, `${outputBase}.css`), finalCss);
-                    await fs.writeFile(path.join(outputDir, `${outputBase}.js`), [...scripts].join('\n'));
-                    await updateHtml(file, `${outputBase}.css`, `${outputBase}.js`, tailwindCdn, true, outputDir, verbose, shouldUnlinkExternal);
-                } else {
-                    classes.forEach(c => allClasses.add(c));
-                    allCss += finalCss + '\n';
-                    scripts.forEach(s => allScripts.add(s));
-                }
-            } catch (err) {
-                console.error(`Error processing ${file}: ${err.message}`);
-                errors.push(`Error processing ${file}: ${err.message}`);
-                await backupManager.restore(file);
             }
         }
-        if (!separateBuilds && !dryRun) {
-            let finalAllCss = allCss;
-            if (minify && allCss) {
-                try {
-                    finalAllCss = new CleanCSS().minify(allCss).styles;
-                } catch (err) {
-                    console.warn(`CSS minification failed: ${err.message}`);
+        if (separateBuilds && writeOutputs) {
+            if (commonChunk) {
+                // Rules used by enough pages move into a common chunk linked before page styles
+                const split = splitCommonRules(
+                    new Map([...outputs].map(([name, output]) => [name, output.rules])),
+                    commonChunkMinPages
+                );
+                split.outputs.forEach((rules, name) => {
+                    outputs.get(name).rules = rules;
+                });
+                const commonCss = serializeRules(orderRules(split.common));
+                await writeCss(commonOutput, commonCss);
+                sharedCss.push(commonOutput);
+                if (verbose) console.log(`Moved ${split.common.length} rule(s) used by ${commonChunkMinPages}+ pages into ${commonOutput}`);
+            }
+            if (safelistRules.length > 0) {
+                await writeCss(safelistOutput, serializeRules(safelistRules));
+                sharedCss.push(safelistOutput);
+            }
+            const linkedTemplates = new Map();
+            for (const [name, output] of outputs) {
+                await writeCss(`${name}.css`, serializeRules(output.rules));
+                const linkable = new Set(await linkedScripts(output.scripts.flat(), output.templates));
+                output.bundled = sharedScripts(output.scripts, script => linkable.has(script));
+                await writeJs(`${name}.js`, bundleScripts(output.bundled));
+                output.templates.forEach(template => {
+                    linkedTemplates.set(template, [...(linkedTemplates.get(template) || []), name]);
+                });
+            }
+            for (const [template, names] of linkedTemplates) {
+                if (names.length > 1) {
+                    console.warn(`Template ${template} is shared by outputs ${names.join(', ')}; link them manually.`);
+                    continue;
                 }
+                await linkTemplate(
+                    template, [...sharedCss, `${names[0]}.css`].map(assetFile), assetFile(`${names[0]}.js`), true,
+                    { ...htmlOptions, bundledScripts: outputs.get(names[0]).bundled.map(script => script.tag) }
+                );
+            }
+        }
+        if (!separateBuilds && writeOutputs) {
+            // Merge pages in a fixed order so the bundle is byte-stable across runs
+            combined.sort((a, b) => a.label.localeCompare(b.label));
+            const allRules = orderRules(mergeRules(...combined.map(page => page.rules)));
+            const templates = new Set(pages.map(page => page.template).filter(Boolean));
+            // build.js runs on every page, so scripts only some pages include stay in place
+            const linkable = new Set(await linkedScripts(combined.flatMap(page => page.scripts), templates));
+            const bundled = sharedScripts(combined.map(page => page.scripts), script => linkable.has(script));
+            await writeCss(cssOutput, serializeRules(allRules));
+            await writeJs(jsOutput, bundleScripts(bundled));
+            for (const template of templates) {
+                await linkTemplate(
+                    template, assetFile(cssOutput), assetFile(jsOutput), false,
+                    { ...htmlOptions, bundledScripts: bundled.map(script => script.tag) }
+                );
+            }
+        }
+        if (writeOutputs) {
+            // Keyed on the rendered sources as linked, so the next run finds them unchanged, while
+            // edits made during the build still miss the cache
+            for (const { file, pageKey, pageInteractions, result, source } of renderedPages) {
+                const link = linkedSources.get(file);
+                const content = link ? link(source) : source;
+                builtSources.set(file, content);
+                await writeCacheEntry(cacheRoot, pageKey, { hash: pageCacheKey(fingerprint, content, pageInteractions), ...result });
             }
-            await fs.writeFile(path.join(outputDir, cssOutput), finalAllCss);
-            await fs.writeFile(path.join(outputDir, jsOutput), [...allScripts].join('\n'));
-            for (const file of files) {
-                await updateHtml(file, cssOutput, jsOutput, tailwindCdn, false, outputDir, verbose, shouldUnlinkExternal);
+        }
+        if (crawl && writeOutputs) console.log(`🕸️ Crawled ${pages.length} page(s) from ${[].concat(crawl.entry).join(', ')}`);
+        if ((routes || crawl) && writeOutputs && !pages.some(page => page.template)) {
+            console.log(`Routes have no templates to link; include the files from ${outputDir} in your layout manually.`);
+        }
+        // Failed pages keep linking their previous files, so those stay until a build succeeds
+        if (hashFilenames && writeOutputs && errors.length === 0) {
+            await removeStaleAssets(outputDir, path.join(outputDir, manifestFile), new Set([...assets.values()].map(asset => asset.file)), verbose);
+        }
+        if (writeOutputs) {
+            // Pages whose outputs failed to build have no assets to report
+            const manifestPages = [...pageStats]
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([pageKey, { name, classCount }]) => {
+                    const css = pageCss(name);
+                    const js = separateBuilds ? [`${name}.js`] : [jsOutput];
+                    return [pageKey, {
+                        css: css.map(fileName => assets.get(fileName)).filter(Boolean),
+                        js: js.map(fileName => assets.get(fileName)).filter(Boolean),
+                        classCount,
+                    }];
+                });
+            await writeManifest(path.join(outputDir, manifestFile), {
+                runtime: { source: runtime.source, version: runtime.version, sha256: runtime.sha256 },
+                safelist: [...safelisted].sort(),
+                pages: Object.fromEntries(manifestPages),
+            });
+            printSizes(sizes);
+            if (budgets) {
+                const pageFiles = new Map([...pageStats].map(([pageKey, { name }]) => [
+                    pageKey,
+                    pageCss(name).filter(fileName => sizes.has(fileName)),
+                ]));
+                overBudget = checkBudgets(sizes, pageFiles, budgets, budgetCompression);
+                overBudget.forEach(({ target, size, budget }) => {
+                    console.error(`❌ ${target} is ${formatSize(size)}, over its ${formatSize(budget)} budget`);
+                });
             }
         }
         if (errors.length > 0) {
             console.error('\nErrors encountered during processing:');
             errors.forEach(err => console.error(`- ${err}`));
-        } else {
+            if (session && session.serverOutput.length > 0) {
+                console.error(`\nLast server output:\n${session.serverOutput.join('\n')}`);
+            }
+        } else if (!auditOnly && overBudget.length === 0) {
             console.log('✅ Build completed successfully.');
         }
+        result = {
+            pages: [...pageStats]
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([page, { sourceClasses, domClasses, generatedClasses }]) => ({ page, sourceClasses, domClasses, generatedClasses })),
+            sources: Object.fromEntries(builtSources),
+        };
     } catch (err) {
         console.error('Build failed:', err.message);
         if (backupOriginals) {
@@ -400,125 +859,1719 @@ async function extractTailwind(options = {}) {
         }
         throw err;
     } finally {
-        if (browser) {
+        await Promise.all(contexts.map(context => context.close().catch(() => { })));
+        if (session && !sharedSession) await session.close();
+        await backupManager.prune();
+    }
+    // Failing after the build keeps its files, so the oversized output can be inspected
+    if (overBudget.length > 0) throw new Error(`${overBudget.length} size budget(s) exceeded`);
+    return result;
+}
+
+/**
+* Returns the server command to use: `serverCommand` when set, otherwise the
+* default for the configured file extensions.
+* @param {Object} config - Configuration options
+* @returns {?string} Server command, or null to serve files with the built-in server
+*/
+function defaultServerCommand(config) {
+    if (config.serverCommand) return config.serverCommand;
+    let serverCommand = null;
+    if (config.fileExtensions.includes('php') || config.fileExtensions.includes('twig')) {
+        serverCommand = `${DEFAULT_SERVER_COMMANDS.php.args.join(' ')}`;
+        if (config.verbose) console.log(`No --server-command provided, using default for PHP/Twig: ${serverCommand}`);
+    } else if (config.fileExtensions.includes('html')) {
+        serverCommand = `${DEFAULT_SERVER_COMMANDS.html.args.join(' ')}`;
+        if (config.verbose) console.log(`No --server-command provided, using default for HTML: ${serverCommand}`);
+    }
+    return serverCommand;
+}
+
+/**
+* Picks the port pages are served on. A command with a hard-coded port must be
+* reached on that port; otherwise the preferred port is used when it is free.
+* @param {?string} serverCommand - Server command
+* @param {number} preferredPort - Configured port
+* @param {boolean} verbose - Enable verbose logging
+* @returns {Promise<number>}
+*/
+async function resolvePort(serverCommand, preferredPort, verbose) {
+    if (serverCommand && !serverCommand.includes('{port}')) return preferredPort;
+    const port = await findFreePort(preferredPort);
+    if (verbose && port !== preferredPort) console.log(`Port ${preferredPort} is in use; using ${port}`);
+    return port;
+}
+
+/**
+* Starts the server that serves the site: `serverCommand` when set, otherwise a
+* static server for `input`.
+* @param {Object} config - Configuration options, with `serverCommand` resolved
+* @param {Object} target - Where pages are served
+* @param {number} target.port - Server port
+* @param {Array<Object>} target.pages - Pages to render; the first URL decides where readiness is probed
+* @returns {Promise<{output: string[], close: Function}>} Latest server output lines and a function stopping the server
+*/
+async function startSiteServer(config, { port, pages }) {
+    const { input, serverCommand, verbose } = config;
+    if (serverCommand) {
+        // Absolute route URLs may point at the dev server's own host and port
+        const pageUrl = pages.map(page => page.url).find(Boolean);
+        const { output, stop } = await startServer(serverCommand, {
+            cwd: path.resolve(input),
+            port,
+            readyPattern: config.serverReadyPattern,
+            readyUrl: pageUrl ? new URL('/', pageUrl).href : `http://localhost:${port}/`,
+            readyTimeout: config.serverReadyTimeout,
+            verbose,
+        });
+        return { output, close: stop };
+    }
+    const server = httpServer.createServer({ root: path.resolve(input) });
+    await new Promise((resolve, reject) => {
+        server.listen(port, err => {
+            if (err) reject(new Error(`Server failed to start: ${err.message}`));
+            else {
+                if (verbose) console.log(`HTTP server started on port ${port}`);
+                resolve();
+            }
+        });
+    });
+    return { output: [], close: () => server.close() };
+}
+
+/**
+* Starts the server and browser pages are rendered with and loads the Tailwind
+* runtime. A build opens its own session; watch mode keeps one open across rebuilds.
+* @param {Object} config - Configuration options, with `serverCommand` resolved
+* @param {Object} target - Where pages are served
+* @param {number} target.port - Server port
+* @param {Array<Object>} target.pages - Pages to render; the first URL decides where readiness is probed
+* @returns {Promise<{port: number, runtime: Object, browser: Object, serverOutput: string[], close: Function}>}
+*/
+async function createSession(config, { port, pages }) {
+    let site = null;
+    const session = { port, runtime: null, browser: null, serverOutput: [] };
+    session.close = async () => {
+        if (session.browser) {
             try {
-                await browser.close();
+                await session.browser.close();
             } catch (err) {
                 console.warn('Failed to close browser:', err.message);
             }
         }
-        if (server) server.close();
-        if (serverProcess) serverProcess.kill();
+        if (site) site.close();
+    };
+    try {
+        site = await startSiteServer(config, { port, pages });
+        session.serverOutput = site.output;
+        session.runtime = await loadTailwindRuntime(config);
+        session.browser = await puppeteer.launch({
+            headless: 'new',
+            args: ['--no-sandbox', '--disable-setuid-sandbox'],
+        });
+    } catch (err) {
+        await session.close();
+        throw err;
     }
+    return session;
 }
 
 /**
-* Process a file with browser automation
-* @param {Object} browser - Puppeteer browser instance
-* @param {string} file - File path
+* Hashes everything besides page sources that shapes the rendered CSS: the Windrip
+* version, the resolved Tailwind config, the runtime and the relevant options.
+* @param {Object} config - Configuration options
+* @param {Object} runtime - Tailwind runtime from loadTailwindRuntime
+* @returns {Promise<string>} SHA-256 fingerprint
+*/
+async function buildFingerprint(config, runtime) {
+    let tailwindConfig = config.tailwindConfig;
+    try {
+        // injectTailwindCdn prefers the config file over the inline fallback
+        tailwindConfig = await fs.readFile(path.resolve(config.configFile), 'utf-8');
+    } catch { }
+    return crypto.createHash('sha256').update(JSON.stringify({
+        windrip: WINDRIP_VERSION,
+        tailwindConfig,
+        runtime: runtime.sha256 || `${runtime.source}@${runtime.version}`,
+        tailwindCdn: config.tailwindCdn,
+        safelist: serializeSafelist(config.safelist),
+        preflight: config.preflight,
+        includeExternal: config.includeExternal,
+        minify: config.minify,
+        extractors: Object.entries(config.extractors || {}).map(([extension, list]) => [extension, [].concat(list).map(String)]),
+    })).digest('hex');
+}
+
+/**
+* Splits a command line into arguments like a POSIX shell: single quotes are taken
+* literally, double quotes allow backslash escapes, and unquoted backslashes escape
+* the next character.
+* @param {string} command - Command line
+* @returns {string[]} Command and arguments
+*/
+function parseCommand(command) {
+    const args = [];
+    let current = '';
+    let started = false;
+    let quote = null;
+    for (let i = 0; i < command.length; i++) {
+        const char = command[i];
+        if (quote === "'") {
+            if (char === "'") quote = null;
+            else current += char;
+        } else if (quote === '"') {
+            if (char === '"') quote = null;
+            else if (char === '\\' && ['"', '\\', '$', '`'].includes(command[i + 1])) current += command[++i];
+            else current += char;
+        } else if (char === "'" || char === '"') {
+            quote = char;
+            started = true;
+        } else if (char === '\\' && i + 1 < command.length) {
+            current += command[++i];
+            started = true;
+        } else if (/\s/.test(char)) {
+            if (started) args.push(current);
+            current = '';
+            started = false;
+        } else {
+            current += char;
+            started = true;
+        }
+    }
+    if (quote) throw new Error(`Unterminated ${quote} quote in command: ${command}`);
+    if (started) args.push(current);
+    return args;
+}
+
+/**
+* Returns `preferred` if it is free, otherwise a free port chosen by the OS.
+* @param {number} preferred - Preferred port
+* @returns {Promise<number>}
+*/
+async function findFreePort(preferred) {
+    const listen = port => new Promise(resolve => {
+        const probe = net.createServer();
+        probe.once('error', () => resolve(null));
+        probe.listen(port, () => {
+            const { port: bound } = probe.address();
+            probe.close(() => resolve(bound));
+        });
+    });
+    return (await listen(preferred)) || listen(0);
+}
+
+/**
+* Number of server output lines kept for error reports.
+* @constant {number}
+*/
+const SERVER_OUTPUT_LINES = 50;
+
+/**
+* Starts the server command and waits until it is ready: until a line of its output
+* matches `readyPattern` or, without a pattern, until `readyUrl` answers HTTP requests.
+* The latest output lines are kept for error reports. The command runs in its own
+* process group, so stopping it also stops the servers it starts, such as the
+* `http-server` that `npx` runs as a child and that would keep its output open.
+* @param {string} serverCommand - Command line; `{port}` is replaced with the port
+* @param {Object} options - Server options
+* @param {string} options.cwd - Working directory
+* @param {number} options.port - Port substituted for `{port}`
+* @param {?(string|RegExp)} options.readyPattern - Output pattern signalling readiness
+* @param {string} options.readyUrl - URL polled when there is no pattern
+* @param {number} options.readyTimeout - Milliseconds to wait for readiness
+* @param {boolean} options.verbose - Echo server output
+* @returns {Promise<{process: Object, output: string[], stop: Function}>}
+*/
+async function startServer(serverCommand, { cwd, port, readyPattern, readyUrl, readyTimeout, verbose }) {
+    const [command, ...args] = parseCommand(serverCommand).map(arg => arg.replace(/\{port\}/g, port));
+    if (!command) throw new Error('Server command is empty');
+    const output = [];
+    const pattern = readyPattern && (readyPattern instanceof RegExp ? readyPattern : new RegExp(readyPattern));
+    let matched = false;
+    let failure = null;
+    // Windows has no process groups; killing the child is all it offers
+    const group = process.platform !== 'win32';
+    const child = spawn(command, args, { cwd, stdio: ['ignore', 'pipe', 'pipe'], detached: group });
+    const stop = () => {
+        process.removeListener('exit', stop);
+        try {
+            if (group) process.kill(-child.pid);
+            else child.kill();
+        } catch { }
+    };
+    // A detached group no longer gets the terminal's signals, so it is stopped when Node exits
+    process.on('exit', stop);
+    const record = chunk => chunk.toString().split(/\r?\n/).filter(Boolean).forEach(line => {
+        output.push(line);
+        if (output.length > SERVER_OUTPUT_LINES) output.shift();
+        if (verbose) console.log(`[server] ${line}`);
+        if (pattern && pattern.test(line)) matched = true;
+    });
+    child.stdout.on('data', record);
+    child.stderr.on('data', record);
+    child.on('error', err => {
+        failure = err;
+    });
+    child.on('exit', code => {
+        failure = failure || new Error(`exited with code ${code}`);
+    });
+    const report = () => (output.length > 0 ? `\nServer output:\n${output.join('\n')}` : '');
+    const started = Date.now();
+    while (!(pattern ? matched : await isResponding(readyUrl))) {
+        if (failure) {
+            stop();
+            throw new Error(`Server command "${serverCommand}" failed: ${failure.message}${report()}`);
+        }
+        if (Date.now() - started > readyTimeout) {
+            stop();
+            const waitedFor = pattern ? `output matching ${pattern}` : `a response from ${readyUrl}`;
+            throw new Error(`Server was not ready after ${readyTimeout}ms waiting for ${waitedFor}${report()}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    if (verbose) console.log(`Server ready: ${command} ${args.join(' ')}`);
+    return { process: child, output, stop };
+}
+
+/**
+* Checks whether a URL answers HTTP requests with any status.
+* @param {string} url - URL to request
+* @returns {Promise<boolean>}
+*/
+async function isResponding(url) {
+    try {
+        await fetch(url, { signal: AbortSignal.timeout(1000), redirect: 'manual' });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+* Returns the cache key of a page: its source, the interactions replayed on it
+* and the build fingerprint.
+* @param {string} fingerprint - Build fingerprint from buildFingerprint
+* @param {string} content - Page source
+* @param {Array} interactions - Interaction steps replayed on the page
+* @returns {string} SHA-256 cache key
+*/
+function pageCacheKey(fingerprint, content, interactions) {
+    const steps = JSON.stringify(interactions, (key, value) => (typeof value === 'function' ? value.toString() : value));
+    // Watch and production builds share cache entries
+    const source = content.replace(LIVE_RELOAD_PATTERN, '');
+    return crypto.createHash('sha256').update(`${fingerprint}\n${steps}\n${source}`).digest('hex');
+}
+
+/**
+* Returns the path of a page's cache entry.
+* @param {string} cacheRoot - Cache directory
+* @param {string} pageKey - Source path relative to input, or URL path and query
+* @returns {string}
+*/
+function cacheEntryPath(cacheRoot, pageKey) {
+    return path.join(cacheRoot, `${encodeURIComponent(pageKey)}.json`);
+}
+
+/**
+* Reads a page's cached render result.
+* @param {string} cacheRoot - Cache directory
+* @param {string} pageKey - Source path relative to input, or URL path and query
+* @returns {Promise<?Object>} Cached result, or null when missing or unreadable
+*/
+async function readCacheEntry(cacheRoot, pageKey) {
+    try {
+        const entry = JSON.parse(await fs.readFile(cacheEntryPath(cacheRoot, pageKey), 'utf-8'));
+        // Entries from before scripts were cached are rendered again
+        return entry.scripts ? { ...entry, domClasses: new Set(entry.domClasses) } : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+* Stores a page's render result so unchanged pages can skip rendering.
+* @param {string} cacheRoot - Cache directory
+* @param {string} pageKey - Source path relative to input, or URL path and query
+* @param {Object} entry - Hash and render result from processWithBrowser
+* @returns {Promise<void>}
+*/
+async function writeCacheEntry(cacheRoot, pageKey, entry) {
+    await fs.mkdir(cacheRoot, { recursive: true });
+    await fs.writeFile(cacheEntryPath(cacheRoot, pageKey), JSON.stringify({
+        page: pageKey,
+        hash: entry.hash,
+        rules: entry.rules,
+        domClasses: [...entry.domClasses],
+        links: entry.links,
+        scripts: entry.scripts,
+        scriptFiles: entry.scriptFiles,
+    }));
+}
+
+/**
+* Records when each local script a file page bundles was last modified, so its
+* cache entry can be dropped once one of them changes.
+* @param {Array<{tag: string}>} scripts - Scripts from collectScripts
+* @param {Object} options - Options from collectScripts
+* @returns {Promise<Object<string, number>>} Modification times by path relative to `input`
+*/
+async function scriptFileTimes(scripts, { file, input }) {
+    const times = {};
+    for (const { tag } of scripts) {
+        const src = (tag.match(/\bsrc=["']([^"']+)["']/i) || [])[1];
+        const scriptPath = src && localScriptPath(src, { file, input });
+        if (!scriptPath) continue;
+        try {
+            times[path.relative(path.resolve(input), scriptPath).replace(/\\/g, '/')] = (await fs.stat(scriptPath)).mtimeMs;
+        } catch { }
+    }
+    return times;
+}
+
+/**
+* Checks that the local scripts recorded by scriptFileTimes haven't changed since.
+* @param {Object<string, number>} times - Modification times by path relative to `input`
 * @param {string} input - Input directory
-* @param {number} port - Server port
-* @param {number} timeout - Timeout in ms
-* @param {number} retries - Number of retries
-* @param {boolean} verbose - Verbose logging
-* @param {string} tailwindCdn - Tailwind CDN URL
-* @param {string} jsOutput - JS output file
-* @returns {Promise<{css: string, scripts: Set<string>, domClasses: Set<string>}>}
+* @returns {Promise<boolean>}
 */
-async function processWithBrowser(browser, file, input, port, timeout, retries, verbose, tailwindCdn, jsOutput, includeExternal) {
-    const relativePath = path.relative(path.resolve(input), file);
-    const url = `http://localhost:${port}/${relativePath.replace(/\\/g, '/')}`;
-    let attempt = 0;
-    while (attempt < retries) {
-        const page = await browser.newPage();
+async function scriptFilesUnchanged(times, input) {
+    for (const [scriptPath, mtimeMs] of Object.entries(times || {})) {
         try {
-            await page.setDefaultNavigationTimeout(timeout);
-            page.on('console', msg => {
-                if (verbose && msg.type() === 'error') console.log(`Browser console error: ${msg.text()}`);
-            });
-            await page.goto(url, {
-                waitUntil: 'networkidle2',
-                timeout: timeout,
-            });
-            await page.waitForSelector('[class]', { timeout: 5000 });
-            // Add a slight delay to allow scripts to run and classes to be added
-            await new Promise(resolve => setTimeout(resolve, 200));
-            // Optionally wait for a custom signal from your app
-            await page.waitForFunction('window.windripReady === true', { timeout: 2000 }).catch(() => { });
-            // Extract CSS, scripts, and classes from the page
-            if (verbose) console.log(`Extracting CSS and scripts from ${file}...`);
-            const { css, scripts, classes } = await page.evaluate(async (baseUrl, tailwindCdn, jsOutput, includeExternal) => {
-                let result = '';
-                for (const sheet of document.styleSheets) {
-                    try {
-                        for (const rule of sheet.cssRules) {
-                            if (rule.selectorText && rule.selectorText.startsWith('.')) {
-                                result += rule.cssText + '\n';
-                            }
-                        }
-                    } catch (e) {
-                        console.warn('Could not access stylesheet:', sheet.href);
-                    }
-                }
-                if (includeExternal) {
-                    const links = Array.from(document.querySelectorAll('link[rel="stylesheet"]'));
-                    for (const link of links) {
-                        try {
-                            let href = link.href;
-                            if (!href.includes('build/')) {
-                                if (href.startsWith('/')) href = baseUrl + href;
-                                const response = await fetch(href);
-                                if (response.ok) {
-                                    const externalCss = await response.text();
-                                    result += `\n/* External CSS from: ${href} */\n${externalCss}\n`;
-                                } else {
-                                    console.warn(`Failed to fetch external CSS: ${href} (${response.status})`);
-                                }
-                            }
-                        } catch (err) {
-                            console.warn(`Error fetching external CSS for ${link.href}: ${err.message}`);
-                        }
-                    }
+            if ((await fs.stat(path.join(path.resolve(input), scriptPath))).mtimeMs !== mtimeMs) return false;
+        } catch {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+* Loads the Tailwind Play CDN runtime once per build so every page renders with
+* the same bytes. A vendored copy is used when `tailwindRuntime` is set; otherwise
+* the CDN is downloaded within `timeout`, falling back to letting pages load it directly.
+* @param {Object} config - Configuration options
+* @returns {Promise<{source: string, version: ?string, sha256: ?string, content: ?Buffer}>}
+*/
+async function loadTailwindRuntime(config) {
+    const { tailwindRuntime, tailwindCdn, tailwindRuntimeIntegrity, timeout = DEFAULT_CONFIG.timeout, verbose } = config;
+    let source, content, version;
+    if (tailwindRuntime) {
+        source = path.resolve(tailwindRuntime);
+        try {
+            content = await fs.readFile(source);
+        } catch (err) {
+            throw new Error(`Failed to read Tailwind runtime ${source}: ${err.message}`);
+        }
+        const banner = content.toString('utf-8', 0, 2000).match(/tailwindcss\s+v?(\d+\.\d+\.\d+)/i);
+        const fileName = path.basename(source).match(/(\d+\.\d+\.\d+)/);
+        version = (banner || fileName || [])[1];
+    } else {
+        try {
+            const response = await fetch(tailwindCdn, { signal: AbortSignal.timeout(timeout) });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            content = Buffer.from(await response.arrayBuffer());
+            // The CDN redirects to a versioned URL, e.g. https://cdn.tailwindcss.com/3.4.16
+            source = response.url;
+            version = (source.match(/\/(\d+\.\d+\.\d+)/) || [])[1];
+        } catch (err) {
+            const reason = err.name === 'TimeoutError' ? `timed out after ${timeout}ms` : err.message;
+            if (tailwindRuntimeIntegrity) {
+                throw new Error(
+                    `Failed to download Tailwind runtime from ${tailwindCdn}: ${reason}. ` +
+                    'Pin a local runtime with tailwindRuntime (--tailwind-runtime) to build offline.'
+                );
+            }
+            console.warn(
+                `Could not download the Tailwind runtime from ${tailwindCdn} (${reason}). ` +
+                'Pages will load it directly and its version will not be recorded. ' +
+                'Pin a local runtime with tailwindRuntime (--tailwind-runtime) to build offline.'
+            );
+            return { source: tailwindCdn, version: null, sha256: null, content: null };
+        }
+    }
+    const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+    if (tailwindRuntimeIntegrity && sha256 !== tailwindRuntimeIntegrity) {
+        throw new Error(`Tailwind runtime checksum mismatch for ${source}: expected ${tailwindRuntimeIntegrity}, got ${sha256}`);
+    }
+    if (verbose) console.log(`Using Tailwind runtime ${version || '(unknown version)'} from ${source} (sha256 ${sha256})`);
+    return { source, version: version || null, sha256, content };
+}
+
+/**
+* Inserts a content hash before a build file's extension, e.g. `build.css`
+* becomes `build.1a2b3c4d.css`.
+* @param {string} fileName - Build file name, possibly with directories
+* @param {string} hash - Hex content hash
+* @returns {string} Hashed file name
+*/
+function hashedFileName(fileName, hash) {
+    const ext = path.extname(fileName);
+    return `${fileName.slice(0, fileName.length - ext.length)}.${hash.substring(0, 8)}${ext}`;
+}
+
+/**
+* Deletes build files the previous build's manifest lists that this build no longer
+* writes. Other files in the output directory are never touched.
+* @param {string} outputDir - Output directory
+* @param {string} manifestPath - Manifest of the previous build
+* @param {Set<string>} current - Build files written by this build, relative to outputDir
+* @param {boolean} verbose - Enable verbose logging
+* @returns {Promise<void>}
+*/
+async function removeStaleAssets(outputDir, manifestPath, current, verbose) {
+    let pages;
+    try {
+        ({ pages = {} } = JSON.parse(await fs.readFile(manifestPath, 'utf-8')));
+    } catch {
+        return;
+    }
+    const previous = new Set(Object.values(pages).flatMap(page => [...(page.css || []), ...(page.js || [])].map(asset => asset.file)));
+    for (const file of previous) {
+        const filePath = path.resolve(outputDir, file);
+        if (current.has(file) || path.relative(path.resolve(outputDir), filePath).startsWith('..')) continue;
+        try {
+            await fs.unlink(filePath);
+            if (verbose) console.log(`Removed stale build file ${file}`);
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.warn(`Failed to remove stale build file ${file}: ${err.message}`);
+        }
+    }
+}
+
+/**
+* Loads the locally installed Tailwind CSS v3 compiler for static builds.
+* @param {boolean} hasRoutes - Whether pages come from routes or crawling rather than source files
+* @returns {?{tailwindcss: Function, postcss: Function, runtime: Object}} Compiler, or null to use the browser
+*/
+function loadStaticCompiler(hasRoutes) {
+    if (hasRoutes) {
+        console.warn('⚠️ Static builds compile classes from source files; routes and crawled pages are rendered in the browser.');
+        return null;
+    }
+    let tailwindcss, postcss, packagePath;
+    try {
+        const from = { paths: [process.cwd()] };
+        packagePath = require.resolve('tailwindcss/package.json', from);
+        tailwindcss = require(require.resolve('tailwindcss', from));
+        postcss = require(require.resolve('postcss', from));
+    } catch {
+        console.warn('⚠️ Static builds need tailwindcss@3 and postcss installed in the project (npm install -D tailwindcss@3 postcss). Falling back to the browser.');
+        return null;
+    }
+    const { version } = require(packagePath);
+    if (parseInt(version, 10) !== 3) {
+        console.warn(`⚠️ Static builds support Tailwind CSS v3, found v${version}. Falling back to the browser.`);
+        return null;
+    }
+    return { tailwindcss, postcss, runtime: { source: path.dirname(packagePath), version, sha256: null, content: null } };
+}
+
+/**
+* Compiles a page's CSS with the local Tailwind compiler from the classes found in
+* its source and the safelist, instead of rendering it.
+* @param {Object} compiler - Compiler from loadStaticCompiler
+* @param {Set<string>} classes - Classes found by extractClasses
+* @param {Object} config - Configuration options
+* @returns {Promise<Object>} Result shaped like processWithBrowser's
+*/
+async function compileStatic(compiler, classes, config) {
+    let userConfig = {};
+    try {
+        const configPath = path.resolve(config.configFile);
+        delete require.cache[configPath];
+        userConfig = require(configPath);
+    } catch {
+        try {
+            userConfig = JSON.parse(config.tailwindConfig) || {};
+        } catch { }
+    }
+    const tailwindConfig = {
+        ...userConfig,
+        content: [{ raw: [...classes].join(' '), extension: 'html' }],
+        safelist: [...(userConfig.safelist || []), ...normalizeSafelist(config.safelist)],
+    };
+    if (config.preflight === false) {
+        const { corePlugins = {} } = userConfig;
+        tailwindConfig.corePlugins = Array.isArray(corePlugins)
+            ? corePlugins.filter(plugin => plugin !== 'preflight')
+            : { ...corePlugins, preflight: false };
+    }
+    const { root } = await compiler.postcss([compiler.tailwindcss(tailwindConfig)])
+        .process('@tailwind base;\n@tailwind components;\n@tailwind utilities;', { from: undefined });
+    return {
+        rules: flattenCssRules(root),
+        domClasses: new Set(),
+        links: [],
+    };
+}
+
+/**
+* Flattens a PostCSS root into the rule list collectPageAssets produces: rules inside
+* grouping at-rules remember the at-rule preludes, other at-rules are kept whole.
+* @param {Object} root - PostCSS root
+* @returns {Array<{at: string[], css: string}>} Flattened rules
+*/
+function flattenCssRules(root) {
+    const rules = [];
+    const walk = (container, at) => container.each(node => {
+        if (node.type === 'atrule' && node.nodes && ['media', 'supports', 'layer', 'container'].includes(node.name)) {
+            walk(node, [...at, `@${node.name} ${node.params}`]);
+        } else if (node.type === 'rule' || node.type === 'atrule') {
+            rules.push({ at, css: node.toString().trim() });
+        }
+    });
+    walk(root, []);
+    return rules;
+}
+
+/**
+* Collects the scripts of a page that go into its JS bundle, in document order:
+* inline scripts and same-origin scripts, read from `input` for file pages and
+* fetched for routes. Modules, `async` and non-JavaScript scripts, third-party
+* URLs and inline scripts with server-side code stay where they are. The bundle
+* runs deferred, so only scripts after the last classic script that stays are
+* collected; earlier ones would otherwise run after it.
+* @param {string} html - Page source, or the HTML a route was served
+* @param {Object} options - Collection options
+* @param {string} options.tailwindCdn - Tailwind CDN URL
+* @param {?string} options.file - Source file of a file page
+* @param {string} options.input - Input directory
+* @param {string} options.outputDir - Output directory, whose scripts are never bundled
+* @param {?string} options.pageUrl - URL a route was served from
+* @param {boolean} [options.verbose] - Enable verbose logging
+* @returns {Promise<Array<{tag: string, label: string, code: string}>>} Bundled scripts
+*/
+async function collectScripts(html, { tailwindCdn, file, input, outputDir, pageUrl, verbose }) {
+    let scripts = [];
+    for (const [tag, attrs, body] of restoreBundledScripts(html || '').matchAll(/<script\b([^>]*)>([\s\S]*?)<\/script>/gi)) {
+        const type = (attrs.match(/\btype=["']?([^"'\s>]+)/i) || [])[1];
+        if (type && !/^(?:text|application)\/(?:javascript|ecmascript)$/i.test(type)) continue;
+        if (/\b(?:async|nomodule)\b|data-windrip-/i.test(attrs)) continue;
+        const src = (attrs.match(/\bsrc=["']([^"']+)["']/i) || [])[1];
+        // Build files and the Tailwind CDN and config are removed when the page is linked
+        if (src && (src.includes(tailwindCdn) || isBuildScript(src, { file, input, outputDir }))) continue;
+        if (!src && (!body.trim() || body.includes('tailwind.config'))) continue;
+        let code = null;
+        // Tags containing a comment terminator can't be commented out once bundled
+        if (!tag.includes('-->')) {
+            if (src) code = await readLocalScript(src, { file, input, pageUrl, verbose });
+            else if (!(file && /<\?|\{\{|\{%|@\w/.test(body))) code = body;
+        }
+        // A classic script that stays runs before the deferred bundle, so the scripts before it stay too
+        if (code === null) scripts = [];
+        else scripts.push({ tag, label: src || 'inline script', code: code.trim() });
+    }
+    return scripts;
+}
+
+/**
+* Resolves a script `src` in a file page to a path, for scripts served from `input`.
+* @param {string} src - Script `src` attribute
+* @param {Object} options - Options from collectScripts
+* @returns {?string} Script path, or null for data URLs and other origins
+*/
+function localScriptPath(src, { file, input }) {
+    if (/^data:/i.test(src) || /^(?:[a-z][a-z0-9+.-]*:)?\/\//i.test(src)) return null;
+    const relativePath = decodeURI(src.replace(/[?#].*$/, ''));
+    return relativePath.startsWith('/')
+        ? path.join(path.resolve(input), relativePath)
+        : path.resolve(path.dirname(file), relativePath);
+}
+
+/**
+* Checks whether a file page's script is a build file linked by an earlier build.
+* @param {string} src - Script `src` attribute
+* @param {Object} options - Options from collectScripts
+* @returns {boolean}
+*/
+function isBuildScript(src, { file, input, outputDir }) {
+    const scriptPath = file && localScriptPath(src, { file, input });
+    return Boolean(scriptPath) && !path.relative(path.resolve(outputDir), scriptPath).startsWith('..');
+}
+
+/**
+* Reads a same-origin script for the bundle.
+* @param {string} src - Script `src` attribute
+* @param {Object} options - Options from collectScripts
+* @returns {Promise<?string>} Script source, or null when it stays linked
+*/
+async function readLocalScript(src, { file, input, pageUrl, verbose }) {
+    if (/^data:/i.test(src)) return null;
+    if (pageUrl) {
+        const url = new URL(src, pageUrl);
+        if (url.origin !== new URL(pageUrl).origin) return null;
+        try {
+            const response = await fetch(url);
+            if (response.ok) return await response.text();
+            console.warn(`Failed to fetch script ${url.href} (${response.status}); leaving it linked.`);
+        } catch (err) {
+            console.warn(`Failed to fetch script ${url.href}: ${err.message}; leaving it linked.`);
+        }
+        return null;
+    }
+    const scriptPath = localScriptPath(src, { file, input });
+    if (!scriptPath) return null;
+    try {
+        return await fs.readFile(scriptPath, 'utf-8');
+    } catch (err) {
+        if (verbose) console.warn(`Could not read script ${scriptPath}: ${err.message}`);
+        console.warn(`Script ${src} in ${file} was not found in ${input}; leaving it linked.`);
+        return null;
+    }
+}
+
+/**
+* Keeps the scripts whose tags appear in a template the bundle will be linked
+* from, since the others can't be replaced by it. Without templates, every
+* script is bundled and the bundle is linked by hand.
+* @param {Array<{tag: string}>} scripts - Scripts from collectScripts
+* @param {Iterable<string>} templates - Template files
+* @returns {Promise<Array<Object>>} Scripts to bundle
+*/
+async function linkedScripts(scripts, templates) {
+    const sources = await Promise.all([...templates].map(async template => restoreBundledScripts(await fs.readFile(template, 'utf-8'))));
+    if (sources.length === 0) return scripts;
+    return scripts.filter(script => sources.some(source => source.includes(script.tag)));
+}
+
+/**
+* Picks the scripts a bundle linked from several pages can replace: those every
+* page includes, after the last script that stays in place on any of them. The
+* bundle runs deferred, so a script left on one page would otherwise run before
+* the bundled scripts that came ahead of it there.
+* @param {Array<Array<{tag: string, code: string}>>} pageScripts - Scripts from collectScripts, per page
+* @param {Function} [linkable] - Whether a script's tag can be replaced by the bundle
+* @returns {Array<Object>} Scripts to bundle, in document order
+*/
+function sharedScripts(pageScripts, linkable = () => true) {
+    const key = script => `${script.tag}\n${script.code}`;
+    let keys = new Set(pageScripts.flat().filter(linkable).map(key));
+    // Dropping a script can leave others behind it on some page, so repeat until nothing changes
+    for (let size = -1; size !== keys.size;) {
+        size = keys.size;
+        const tails = pageScripts.map(scripts => {
+            const stays = scripts.map(key).findLastIndex(scriptKey => !keys.has(scriptKey));
+            return new Set(scripts.slice(stays + 1).map(key));
+        });
+        keys = new Set([...keys].filter(scriptKey => tails.every(tail => tail.has(scriptKey))));
+    }
+    const bundled = new Map();
+    pageScripts.flat().forEach(script => keys.has(key(script)) && !bundled.has(key(script)) && bundled.set(key(script), script));
+    return [...bundled.values()];
+}
+
+/**
+* Concatenates classic scripts into one bundle, keeping their order.
+* @param {Array<{label: string, code: string}>} scripts - Scripts from collectScripts
+* @returns {string} Bundle source
+*/
+function bundleScripts(scripts) {
+    // The separator stops a script without a trailing semicolon from running into the next
+    return scripts.map(({ label, code }) => `// ${label}\n${code}`).join('\n;\n');
+}
+
+/**
+* Puts bundled script tags back in place of their comments and drops the tag
+* linking the bundle, giving the page as it was before bundling.
+* @param {string} content - HTML content
+* @returns {string}
+*/
+function restoreBundledScripts(content) {
+    return content
+        .replace(BUNDLED_SCRIPT_PATTERN, '$1')
+        .replace(/<script[^>]*\bdata-windrip-bundle\b[^>]*><\/script>\s*/g, '');
+}
+
+/**
+* Writes the build manifest describing the last build.
+* @param {string} manifestPath - Manifest file path
+* @param {Object} manifest - Manifest contents
+* @returns {Promise<void>}
+*/
+async function writeManifest(manifestPath, manifest) {
+    await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+}
+
+/**
+* Measures a build file for the size table.
+* @param {string} content - File content as written
+* @param {?string} [unminified=null] - Content before minification, if it was minified
+* @returns {{raw: number, minified: ?number, gzip: number, brotli: number}} Sizes in bytes
+*/
+function measureSizes(content, unminified = null) {
+    const buffer = Buffer.from(content);
+    return {
+        raw: unminified === null ? buffer.length : Buffer.byteLength(unminified),
+        minified: unminified === null ? null : buffer.length,
+        gzip: zlib.gzipSync(buffer, { level: 9 }).length,
+        brotli: zlib.brotliCompressSync(buffer).length,
+    };
+}
+
+/**
+* Parses a size budget such as `30kb`, `1.5mb` or a number of bytes.
+* @param {string|number} value - Budget
+* @returns {number} Bytes
+*/
+function parseSize(value) {
+    if (typeof value === 'number' && value >= 0) return value;
+    const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb)?$/i.exec(String(value).trim());
+    if (!match) throw new Error(`Invalid size budget "${value}"; use bytes or a size like "30kb"`);
+    const units = { b: 1, kb: 1024, mb: 1024 * 1024 };
+    return Math.round(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+* Formats a size in bytes for people.
+* @param {number} bytes - Size
+* @returns {string}
+*/
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} kB`;
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+/**
+* Checks build file sizes against the `budgets` option. Keys are build file names
+* or patterns (e.g. `blog/*.css`), plus `perPage` for all the CSS one page links.
+* Files are measured as written, or compressed when `compression` is given.
+* @param {Map<string, Object>} sizes - Sizes from measureSizes by build file name
+* @param {Map<string, string[]>} pageFiles - CSS files linked by each page
+* @param {Object<string, string|number>} budgets - Budgets by file name, pattern or `perPage`
+* @param {?string} [compression=null] - `gzip` or `brotli`
+* @returns {Array<{target: string, size: number, budget: number}>} Files and pages over budget
+*/
+function checkBudgets(sizes, pageFiles, budgets, compression = null) {
+    const measure = fileName => {
+        const size = sizes.get(fileName);
+        if (compression) return size[compression];
+        return size.minified !== null ? size.minified : size.raw;
+    };
+    const overBudget = [];
+    Object.entries(budgets).forEach(([key, value]) => {
+        const budget = parseSize(value);
+        if (key === 'perPage') {
+            pageFiles.forEach((files, page) => {
+                const size = files.reduce((total, fileName) => total + measure(fileName), 0);
+                if (size > budget) overBudget.push({ target: page, size, budget });
+            });
+            return;
+        }
+        sizes.forEach((_, fileName) => {
+            if (matchesPattern(fileName, key) && measure(fileName) > budget) {
+                overBudget.push({ target: fileName, size: measure(fileName), budget });
+            }
+        });
+    });
+    return overBudget;
+}
+
+/**
+* Prints the size table for the files written by a build.
+* @param {Map<string, Object>} sizes - Sizes from measureSizes by build file name
+*/
+function printSizes(sizes) {
+    if (sizes.size === 0) return;
+    const rows = [['File', 'Raw', 'Minified', 'Gzip', 'Brotli']];
+    sizes.forEach(({ raw, minified, gzip, brotli }, fileName) => {
+        rows.push([fileName, formatSize(raw), minified === null ? '-' : formatSize(minified), formatSize(gzip), formatSize(brotli)]);
+    });
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    console.log('\n📏 Build sizes:');
+    rows.forEach(row => console.log(row.map((cell, column) => column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])).join('  ')));
+    console.log('');
+}
+
+/**
+* Deletes the per-page CSS cache so the next build renders every page.
+* @param {Object} options - Configuration options
+* @returns {Promise<void>}
+*/
+async function clearCache(options = {}) {
+    const config = { ...(await loadConfig()), ...options };
+    const cacheRoot = path.join(config.outputDir, config.cacheDir);
+    await fs.rm(cacheRoot, { recursive: true, force: true });
+    console.log(`🧹 Cleared cache ${cacheRoot}.`);
+}
+
+/**
+* Renders every page without touching sources or build files and reports classes
+* that generated no CSS, classes seen only at runtime and pages without Tailwind usage.
+* @param {Object} options - Configuration options, as for extractTailwind
+* @returns {Promise<Object>} Audit report, see auditClasses
+*/
+async function audit(options = {}) {
+    const config = { ...(await loadConfig()), ...options };
+    // Cached renders were made without the source classes safelisted
+    const { pages } = await extractTailwind({ ...config, auditOnly: true, nonDestructive: true, backupOriginals: false, force: true });
+    return auditClasses(pages, config.auditIgnore);
+}
+
+/**
+* Compares the classes found in each page's source, the classes seen in its DOM
+* and the classes Tailwind generated CSS for.
+* @param {Object[]} pages - Pages as returned by extractTailwind
+* @param {Array<string|RegExp|Object>} [ignore=[]] - Classes not to report, matched like safelist entries
+* @returns {{pages: Object[], summary: Object}} Problems per page and their totals
+*/
+function auditClasses(pages, ignore = []) {
+    const known = new Set(pages.flatMap(page => page.generatedClasses));
+    const report = pages.map(({ page, sourceClasses, domClasses, generatedClasses }) => {
+        const generated = new Set(generatedClasses);
+        const source = new Set(sourceClasses || []);
+        const seen = [...new Set([...source, ...domClasses])].sort();
+        return {
+            page,
+            unknown: seen
+                .filter(className => !generated.has(className) && !matchesSafelist(className, ignore))
+                .map(className => ({ className, suggestion: suggestClass(className, known) })),
+            runtimeOnly: sourceClasses ? domClasses.filter(className => !source.has(className)).sort() : [],
+            noTailwind: !seen.some(className => generated.has(className)),
+        };
+    });
+    return {
+        pages: report,
+        summary: {
+            pages: report.length,
+            unknown: report.reduce((total, page) => total + page.unknown.length, 0),
+            runtimeOnly: report.reduce((total, page) => total + page.runtimeOnly.length, 0),
+            noTailwind: report.filter(page => page.noTailwind).length,
+        },
+    };
+}
+
+/**
+* Suggests the class probably meant by one that generated no CSS: the closest
+* class generated elsewhere in the build, or else the class with misspelled
+* Tailwind words corrected.
+* @param {string} className - Class name, e.g. `hover:text-gry-500`
+* @param {Iterable<string>} [known=[]] - Classes that generated CSS
+* @returns {?string} Suggested class, or null
+*/
+function suggestClass(className, known = []) {
+    const maxDistance = className.length >= 6 ? 2 : 1;
+    let suggestion = null;
+    let best = maxDistance + 1;
+    for (const candidate of known) {
+        const distance = editDistance(className, candidate);
+        if (distance > 0 && distance < best) {
+            suggestion = candidate;
+            best = distance;
+        }
+    }
+    if (suggestion) return suggestion;
+    const variants = className.slice(0, className.lastIndexOf(':') + 1);
+    const tokens = className.slice(variants.length).split('-');
+    // Only names built from Tailwind words are corrected, so custom classes get no suggestion
+    const fixed = tokens.map(token => {
+        if (!token || TAILWIND_TOKENS.has(token) || /^[\d./]+$|^\[.*\]$/.test(token)) return token;
+        let closest = null;
+        let closestDistance = (token.length >= 5 ? 2 : 1) + 1;
+        for (const word of TAILWIND_TOKENS) {
+            const distance = editDistance(token, word);
+            if (distance < closestDistance) {
+                closest = word;
+                closestDistance = distance;
+            }
+        }
+        return closest;
+    });
+    if (fixed.includes(null) || fixed.every((token, index) => token === tokens[index])) return null;
+    return variants + fixed.join('-');
+}
+
+/**
+* Returns the edit distance between two strings, counting a swap of adjacent
+* characters as one edit.
+* @param {string} a - First string
+* @param {string} b - Second string
+* @returns {number}
+*/
+function editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+    }
+    return d[a.length][b.length];
+}
+
+/**
+* Prints an audit report for people.
+* @param {Object} report - Report from auditClasses
+*/
+function printAudit(report) {
+    const { summary } = report;
+    console.log(`🔎 Audited ${summary.pages} page(s)\n`);
+    report.pages.forEach(({ page, unknown, runtimeOnly, noTailwind }) => {
+        if (unknown.length === 0 && runtimeOnly.length === 0 && !noTailwind) return;
+        console.log(page);
+        if (noTailwind) console.log('  ⚠️  No Tailwind classes generated CSS on this page');
+        unknown.forEach(({ className, suggestion }) => {
+            console.log(`  ❌ ${className} generated no CSS${suggestion ? ` (did you mean ${suggestion}?)` : ''}`);
+        });
+        runtimeOnly.forEach(className => console.log(`  ℹ️  ${className} only seen at runtime`));
+        console.log('');
+    });
+    if (summary.unknown === 0 && summary.noTailwind === 0) {
+        console.log('✅ Every class generated CSS.');
+    } else {
+        console.log(
+            `${summary.unknown} class(es) generated no CSS, ${summary.runtimeOnly} seen only at runtime, ` +
+            `${summary.noTailwind} page(s) without Tailwind usage.`
+        );
+    }
+}
+
+/**
+* Restores source files from the on-disk backup journal.
+* @param {Object} options - Configuration options
+* @param {string} [options.run] - Run ID to restore (defaults to the latest run)
+* @param {boolean} [options.list] - List available runs instead of restoring
+* @returns {Promise<void>}
+*/
+async function restore(options = {}) {
+    const config = { ...(await loadConfig()), ...options };
+    const journalDir = path.join(config.outputDir, config.backupDir);
+    const backupManager = new BackupManager(true, config.verbose, { journalDir });
+    const runs = await backupManager.listRuns();
+    if (runs.length === 0) throw new Error(`No backups found in ${journalDir}`);
+    if (config.list) {
+        runs.forEach(runId => console.log(runId));
+        return;
+    }
+    const runId = config.run || runs[runs.length - 1];
+    const count = await backupManager.restoreAll(runId);
+    console.log(`✅ Restored ${count} file(s) from backup run ${runId}.`);
+}
+
+/**
+* Expands the `routes` config into concrete pages to render. A route is a URL or
+* path string, or an object `{ path, params, name, template, interactions }` whose
+* `:param` segments are expanded against every combination of `params` values.
+* @param {Array<string|Object>} routes - Routes config
+* @param {number} port - Server port used to resolve paths
+* @returns {Array<{url: string, name: string, template: ?string, interactions: ?Array}>}
+*/
+function expandRoutes(routes, port) {
+    const pages = [];
+    for (const route of routes) {
+        const { path: routePath, url, params = {}, name, template = null, interactions } = typeof route === 'string' ? { path: route } : route;
+        let targets = [routePath || url];
+        for (const [param, values] of Object.entries(params)) {
+            targets = targets.flatMap(target => [].concat(values).map(value =>
+                target.replace(new RegExp(`:${param}\\b`, 'g'), encodeURIComponent(value))
+            ));
+        }
+        for (const target of targets) {
+            const missing = target.match(/\/:([a-zA-Z_]\w*)/);
+            if (missing) throw new Error(`Route ${target} has no values for parameter :${missing[1]}`);
+            const pageUrl = /^https?:\/\//.test(target) ? target : `http://localhost:${port}/${target.replace(/^\//, '')}`;
+            pages.push({ url: pageUrl, name: name || routeName(pageUrl), template, interactions });
+        }
+    }
+    return pages;
+}
+
+/**
+* Derives the output name of a source file from its path relative to the input
+* directory. `mirror` keeps the directory structure (`blog/index.php`); `flat`
+* joins the segments with `~` (`blog~index.php`), percent-encoding `%` and `~`
+* so distinct paths never share a name.
+* @param {string} relativePath - Source path relative to input, with `/` separators
+* @param {string} [naming] - `mirror` or `flat`
+* @returns {string} Output name
+*/
+function outputName(relativePath, naming = 'mirror') {
+    if (naming !== 'flat') return relativePath;
+    return relativePath
+        .split('/')
+        .map(segment => segment.replace(/[%~]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`))
+        .join('~');
+}
+
+/**
+* Derives an output name from a route URL, e.g. `/blog/hello` becomes `blog-hello`.
+* @param {string} url - Route URL
+* @returns {string} Output name
+*/
+function routeName(url) {
+    const slug = new URL(url).pathname
+        .replace(/^\/+|\/+$/g, '')
+        .replace(/[^a-zA-Z0-9._-]+/g, '-');
+    return slug || 'index';
+}
+
+/**
+* Collects the generated CSS rules, DOM classes and links from a rendered page.
+* @param {Object} page - Puppeteer page instance
+* @param {boolean} includeExternal - Whether to list linked stylesheets to include
+* @param {boolean} preflight - Whether to keep preflight/base styles
+* @returns {Promise<{rules: Object[], classes: string[], links: string[], stylesheets: string[]}>}
+*/
+async function collectPageAssets(page, includeExternal, preflight) {
+    return page.evaluate(async (includeExternal, preflight) => {
+        // Flatten grouping rules (@media, @supports, @layer...) into entries that remember
+        // their at-rule context, so serializeRules can rebuild the cascade in order.
+        const rules = [];
+        const collect = (cssRules, at) => {
+            for (const rule of cssRules) {
+                if (rule instanceof CSSStyleRule) {
+                    const isUtility = rule.selectorText.includes('.');
+                    // Keep the rule declaring --tw-* defaults even without preflight
+                    const definesVariables = rule.style.cssText.includes('--tw-');
+                    if (isUtility || definesVariables || preflight) rules.push({ at, css: rule.cssText });
+                } else if (rule.cssRules && !(rule instanceof CSSKeyframesRule)) {
+                    const prelude = rule.cssText.slice(0, rule.cssText.indexOf('{')).trim();
+                    collect(rule.cssRules, [...at, prelude]);
+                } else if (!(rule instanceof CSSImportRule)) {
+                    rules.push({ at, css: rule.cssText });
+                }
+            }
+        };
+        for (const sheet of document.styleSheets) {
+            // Linked stylesheets are only bundled with includeExternal
+            if (sheet.href) continue;
+            try {
+                collect(sheet.cssRules, []);
+            } catch (e) {
+                console.warn('Could not access stylesheet:', e.message);
+            }
+        }
+        // Linked stylesheets are fetched and inlined by loadExternalCss
+        const stylesheets = includeExternal
+            ? Array.from(document.querySelectorAll('link[rel="stylesheet"]'), link => link.href).filter(href => !href.includes('build/'))
+            : [];
+        const classes = new Set();
+        document.querySelectorAll('[class]').forEach(el => {
+            el.classList.forEach(cls => {
+                if (/^[a-zA-Z0-9_][a-zA-Z0-9_\-:]*$/.test(cls)) classes.add(cls);
+            });
+        });
+        const links = Array.from(document.querySelectorAll('a[href]'), a => a.href);
+        return { rules, classes: Array.from(classes), links, stylesheets };
+    }, includeExternal, preflight);
+}
+
+/**
+* Fetches an external stylesheet for the build, inlining its `@import`s in cascade
+* order and resolving its `url()`s: same-origin ones become ASSET_URL_PREFIX paths
+* for localizeAssetUrls, others absolute URLs.
+* @param {string} href - Stylesheet URL
+* @param {string} origin - Origin of the page linking it
+* @param {Set<string>} [seen] - Stylesheets already inlined, to break import cycles
+* @returns {Promise<?string>} CSS, or null when it could not be fetched
+*/
+async function loadExternalCss(href, origin, seen = new Set()) {
+    if (seen.has(href)) return '';
+    seen.add(href);
+    let css;
+    try {
+        const response = await fetch(href);
+        if (!response.ok) {
+            console.warn(`Failed to fetch external CSS: ${href} (${response.status})`);
+            return null;
+        }
+        css = (await response.text()).replace(/@charset\s+["'][^"']*["']\s*;/gi, '');
+    } catch (err) {
+        console.warn(`Error fetching external CSS for ${href}: ${err.message}`);
+        return null;
+    }
+    let inlined = '';
+    let last = 0;
+    for (const match of css.matchAll(/@import\s+(?:url\(\s*(['"]?)([^'")]+)\1\s*\)|(['"])([^'"]+)\3)\s*([^;]*);/gi)) {
+        inlined += rebaseCssUrls(css.slice(last, match.index), href, origin);
+        last = match.index + match[0].length;
+        const imported = await loadExternalCss(new URL(match[2] || match[4], href).href, origin, seen);
+        if (imported !== null) inlined += wrapImport(imported, match[5].trim());
+    }
+    return inlined + rebaseCssUrls(css.slice(last), href, origin);
+}
+
+/**
+* Wraps imported CSS in the at-rules its `@import` conditions stand for,
+* e.g. `layer(base) supports(display: grid) screen`.
+* @param {string} css - Imported CSS
+* @param {string} conditions - Text after the `@import` URL
+* @returns {string}
+*/
+function wrapImport(css, conditions) {
+    let rest = conditions;
+    const layer = rest.match(/^layer(?:\(([^)]*)\))?\s*/i);
+    if (layer) rest = rest.slice(layer[0].length);
+    const supports = rest.match(/^supports\(((?:[^()]|\([^()]*\))*)\)\s*/i);
+    if (supports) rest = rest.slice(supports[0].length);
+    let wrapped = css;
+    if (rest) wrapped = `@media ${rest} {\n${wrapped}\n}`;
+    if (supports) wrapped = `@supports ${/^\(.*\)$/.test(supports[1].trim()) ? supports[1].trim() : `(${supports[1].trim()})`} {\n${wrapped}\n}`;
+    if (layer) wrapped = `@layer ${layer[1] ? `${layer[1].trim()} ` : ''}{\n${wrapped}\n}`;
+    return wrapped;
+}
+
+/**
+* Resolves the `url()`s in CSS fetched from `href`, so they survive the move into
+* the build: same-origin URLs become ASSET_URL_PREFIX paths, others absolute URLs.
+* Data URIs and fragment-only references are left alone.
+* @param {string} css - CSS text
+* @param {string} href - URL the CSS was fetched from
+* @param {string} origin - Origin of the page linking it
+* @returns {string}
+*/
+function rebaseCssUrls(css, href, origin) {
+    return css.replace(/url\(\s*(['"]?)([^'")]*)\1\s*\)/gi, (match, quote, value) => {
+        if (!value || /^(?:data:|#)/i.test(value) || value.startsWith(ASSET_URL_PREFIX)) return match;
+        const url = new URL(value, href);
+        const resolved = url.origin === origin ? `${ASSET_URL_PREFIX}${url.pathname}${url.search}${url.hash}` : url.href;
+        return `url("${resolved}")`;
+    });
+}
+
+/**
+* Rewrites the ASSET_URL_PREFIX paths in CSS relative to the build file it is written
+* to. Paths are looked up in `input`, which the site server serves. With
+* `copyAssets`, the files are copied into `assetsDir` under content-hashed names.
+* @param {string} css - CSS text
+* @param {string} cssFile - Build file name, relative to outputDir
+* @param {Object} options - Rewrite options
+* @param {string} options.input - Input directory
+* @param {string} options.outputDir - Output directory
+* @param {boolean} options.copyAssets - Copy referenced files into the output directory
+* @param {string} options.assetsDir - Directory for copied files, relative to outputDir
+* @param {Map<string, string>} options.copied - Files copied so far, by path; updated in place
+* @param {boolean} [options.verbose] - Enable verbose logging
+* @returns {Promise<string>}
+*/
+async function localizeAssetUrls(css, cssFile, { input, outputDir, copyAssets, assetsDir, copied, verbose }) {
+    const cssDir = path.dirname(path.join(outputDir, cssFile));
+    const pattern = new RegExp(`url\\("${ASSET_URL_PREFIX}([^"?#]*)([^"]*)"\\)`, 'g');
+    const targets = new Map();
+    for (const [, urlPath, suffix] of css.matchAll(pattern)) {
+        const sourcePath = path.join(path.resolve(input), decodeURIComponent(urlPath));
+        let target = sourcePath;
+        if (copyAssets) {
+            if (!copied.has(urlPath)) {
+                try {
+                    const content = await fs.readFile(sourcePath);
+                    const hash = crypto.createHash('sha256').update(content).digest('hex');
+                    const file = path.join(assetsDir, hashedFileName(path.basename(sourcePath), hash)).replace(/\\/g, '/');
+                    await fs.mkdir(path.join(outputDir, assetsDir), { recursive: true });
+                    await fs.writeFile(path.join(outputDir, file), content);
+                    copied.set(urlPath, file);
+                    if (verbose) console.log(`Copied ${urlPath} to ${file}`);
+                } catch (err) {
+                    console.warn(`Could not copy asset ${urlPath} from ${input}: ${err.message}`);
+                    copied.set(urlPath, null);
+                }
+            }
+            if (copied.get(urlPath)) target = path.join(outputDir, copied.get(urlPath));
+        }
+        // Copied files drop the query string, which only busted caches for the original
+        const kept = target === sourcePath ? suffix : suffix.replace(/^\?[^#]*/, '');
+        targets.set(`${urlPath}${suffix}`, encodeURI(path.relative(cssDir, target).replace(/\\/g, '/')) + kept);
+    }
+    return css.replace(pattern, (match, urlPath, suffix) => `url("${targets.get(`${urlPath}${suffix}`)}")`);
+}
+
+/**
+* Runs one scripted interaction step on a page. A step is a function receiving the
+* Puppeteer page, or an object such as `{ click: '#menu' }`, `{ hover: '.card' }`,
+* `{ type: '#search', text: 'shoes' }`, `{ scroll: 'bottom' }` or `{ wait: 500 }`.
+* @param {Object} page - Puppeteer page instance
+* @param {Function|Object} step - Interaction step
+* @returns {Promise<void>}
+*/
+async function runInteraction(page, step) {
+    if (typeof step === 'function') {
+        await step(page);
+    } else if (step.click) {
+        await page.click(step.click);
+    } else if (step.hover) {
+        await page.hover(step.hover);
+    } else if (step.type) {
+        await page.type(step.type, String(step.text || ''));
+    } else if (step.scroll) {
+        await page.evaluate(target => {
+            if (target === 'bottom') window.scrollTo(0, document.body.scrollHeight);
+            else document.querySelector(target).scrollIntoView();
+        }, step.scroll);
+    } else if (step.wait) {
+        await new Promise(resolve => setTimeout(resolve, step.wait));
+    } else {
+        throw new Error(`Unknown interaction step: ${JSON.stringify(step)}`);
+    }
+}
+
+/**
+* Resolves the interaction steps for a page from the `interactions` config, whose
+* keys are patterns matched against the page's source path or URL path.
+* @param {Object} interactions - Interactions config
+* @param {string} pageKey - Source path relative to input, or URL path and query
+* @returns {Array<Function|Object>} Steps in config order
+*/
+function resolveInteractions(interactions, pageKey) {
+    if (!interactions) return [];
+    return Object.entries(interactions)
+        .filter(([pattern]) => matchesPattern(pageKey, pattern))
+        .flatMap(([, steps]) => [].concat(steps));
+}
+
+/**
+* Filters the links found on a crawled page down to new same-origin pages,
+* applying the crawl include/exclude patterns. Accepted URLs are added to `seen`.
+* @param {string[]} links - Absolute link URLs from the page
+* @param {string} pageUrl - URL of the page the links were found on
+* @param {Object} crawl - Crawl options
+* @param {Set<string>} seen - URLs already queued
+* @returns {string[]} URLs to crawl next
+*/
+function filterCrawlLinks(links, pageUrl, crawl, seen) {
+    const { origin } = new URL(pageUrl);
+    const selected = [];
+    for (const link of links) {
+        let target;
+        try {
+            target = new URL(link, pageUrl);
+        } catch {
+            continue;
+        }
+        target.hash = '';
+        if (target.origin !== origin || CRAWL_SKIP_EXTENSIONS.test(target.pathname)) continue;
+        const route = urlPath(target.href);
+        if (crawl.include.length > 0 && !crawl.include.some(pattern => matchesPattern(route, pattern))) continue;
+        if (crawl.exclude.some(pattern => matchesPattern(route, pattern))) continue;
+        if (seen.has(target.href)) continue;
+        seen.add(target.href);
+        selected.push(target.href);
+    }
+    return selected;
+}
+
+/**
+* Returns the path and query of a URL, which is what route patterns match against.
+* @param {string} url - Absolute URL
+* @returns {string} Path and query, e.g. `/products?page=2`
+*/
+function urlPath(url) {
+    const { pathname, search } = new URL(url);
+    return pathname + search;
+}
+
+/**
+* Tests a value against a RegExp or a glob-like string where `**` matches
+* anything and `*` matches anything but `/`.
+* @param {string} value - Value to test
+* @param {string|RegExp} pattern - Pattern
+* @returns {boolean}
+*/
+function matchesPattern(value, pattern) {
+    if (pattern instanceof RegExp) return pattern.test(value);
+    const source = pattern
+        .split('**')
+        .map(part => part.split('*').map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*'))
+        .join('.*');
+    return new RegExp(`^${source}$`).test(value);
+}
+
+/**
+* Process a file with browser automation
+* @param {Object} browser - Puppeteer browser or browser context to open pages in
+* @param {string} file - File path (or a label when options.url is given)
+* @param {string} input - Input directory
+* @param {number} port - Server port
+* @param {number} timeout - Timeout in ms
+* @param {number} retries - Number of retries
+* @param {boolean} verbose - Verbose logging
+* @param {string} tailwindCdn - Tailwind CDN URL
+* @param {boolean} includeExternal - Whether to include external CSS
+* @param {Object} [options] - Additional page options
+* @param {string} [options.url] - URL to render instead of the one derived from the file path
+* @param {boolean} [options.injectCdn] - Inject the Tailwind CDN into the served HTML instead of the source file
+* @param {string} [options.configFile] - Path to Tailwind config
+* @param {string} [options.tailwindConfig] - Fallback Tailwind config
+* @param {Array} [options.safelist] - Safelist merged into the Tailwind config
+* @param {boolean} [options.preflight] - Whether to keep preflight/base styles (default: true)
+* @param {Object} [options.runtime] - Pinned Tailwind runtime answering the CDN URL
+* @param {Array<Function|Object>} [options.interactions] - Steps replayed before collecting again
+* @returns {Promise<{css: string, rules: Object[], domClasses: Set<string>, links: string[], html: string}>} Collected
+* assets and the HTML the page was served
+*/
+async function processWithBrowser(browser, file, input, port, timeout, retries, verbose, tailwindCdn, includeExternal, options = {}) {
+    const relativePath = path.relative(path.resolve(input), file);
+    const url = options.url || `http://localhost:${port}/${relativePath.replace(/\\/g, '/')}`;
+    let attempt = 0;
+    while (attempt < retries) {
+        const page = await browser.newPage();
+        try {
+            await page.setDefaultNavigationTimeout(timeout);
+            if (options.injectCdn || (options.runtime && options.runtime.content)) {
+                await interceptRequests(page, { ...options, tailwindCdn, verbose });
+            }
+            page.on('console', msg => {
+                if (verbose && msg.type() === 'error') console.log(`Browser console error: ${msg.text()}`);
+            });
+            const response = await page.goto(url, {
+                waitUntil: 'networkidle2',
+                timeout: timeout,
+            });
+            const html = response ? await response.text().catch(() => '') : '';
+            await page.waitForSelector('[class]', { timeout: 5000 });
+            // Add a slight delay to allow scripts to run and classes to be added
+            await new Promise(resolve => setTimeout(resolve, 200));
+            // Optionally wait for a custom signal from your app
+            await page.waitForFunction('window.windripReady === true', { timeout: 2000 }).catch(() => { });
+            // Extract CSS, scripts, and classes from the page
+            if (verbose) console.log(`Extracting CSS and scripts from ${file}...`);
+            const preflight = options.preflight !== false;
+            const collected = await collectPageAssets(page, includeExternal, preflight);
+            for (const href of collected.stylesheets) {
+                const css = await loadExternalCss(href, new URL(url).origin);
+                if (css !== null) collected.rules.push({ at: [], css: `/* External CSS from: ${href} */\n${css}` });
+            }
+            // Replay scripted interactions, collecting newly generated CSS and classes after each step
+            const interactions = [].concat(options.interactions || []);
+            for (const [index, step] of interactions.entries()) {
+                if (verbose) console.log(`Running interaction ${index + 1}/${interactions.length} on ${file}...`);
+                try {
+                    await runInteraction(page, step);
+                } catch (err) {
+                    throw new Error(`Interaction ${index + 1} failed: ${err.message}`);
+                }
+                await new Promise(resolve => setTimeout(resolve, 200));
+                const next = await collectPageAssets(page, false, preflight);
+                collected.rules = mergeRules(collected.rules, next.rules);
+                collected.classes = [...new Set([...collected.classes, ...next.classes])];
+                collected.links = [...new Set([...collected.links, ...next.links])];
+            }
+            const { rules, classes, links } = collected;
+            await page.close();
+            if (verbose) console.log(`Successfully processed ${file} (attempt ${attempt + 1})`);
+            return { css: serializeRules(rules), rules, domClasses: new Set(classes), links, html };
+        } catch (err) {
+            await page.close();
+            attempt++;
+            if (attempt >= retries) {
+                throw new Error(`Failed to process ${url} after ${retries} attempts: ${err.message}`);
+            }
+            if (verbose) console.log(`Retrying ${file} (attempt ${attempt + 1}/${retries}): ${err.message}`);
+            await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+        }
+    }
+}
+
+/**
+* Runs an async worker over items with at most `concurrency` in flight. Results
+* keep the order of `items`, whatever order the workers finish in.
+* @param {Array} items - Items to process
+* @param {number} concurrency - Maximum number of concurrent workers
+* @param {Function} worker - `(item, index, workerIndex) => Promise`; `workerIndex` is below `concurrency`
+* @returns {Promise<Array>} Worker results, in item order
+*/
+async function runPool(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const workers = Array.from({ length: Math.min(concurrency, items.length) }, async (_, workerIndex) => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index, workerIndex);
+        }
+    });
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+* Serializes flattened rules back into CSS. Consecutive rules sharing an at-rule
+* context are regrouped into a single block, preserving the original order.
+* @param {Array<{at: string[], css: string}>} rules - Flattened rules
+* @returns {string} CSS text
+*/
+function serializeRules(rules) {
+    let css = '';
+    let open = [];
+    for (const rule of rules) {
+        let shared = 0;
+        while (shared < open.length && shared < rule.at.length && open[shared] === rule.at[shared]) shared++;
+        css += '}\n'.repeat(open.length - shared);
+        rule.at.slice(shared).forEach(prelude => {
+            css += `${prelude} {\n`;
+        });
+        css += `${rule.css}\n`;
+        open = rule.at;
+    }
+    return css + '}\n'.repeat(open.length);
+}
+
+/**
+* Merges rule lists, dropping exact duplicates. Every list's order is kept, so a
+* rule generated after another on any page still follows it: merging `[.px-2]`
+* with `[.p-4, .px-2]` gives `.p-4, .px-2`. Rules are otherwise taken in first-seen
+* order, which also settles lists that disagree.
+* @param {...Array<{at: string[], css: string}>} ruleLists - Rule lists to merge
+* @returns {Array<{at: string[], css: string}>} Merged rules
+*/
+function mergeRules(...ruleLists) {
+    // Nodes in first-seen order, with edges from each rule to the next one in its list
+    const nodes = new Map();
+    for (const rules of ruleLists) {
+        let previous = null;
+        for (const rule of rules) {
+            const key = ruleKey(rule);
+            if (!nodes.has(key)) nodes.set(key, { rule, index: nodes.size, next: new Set(), incoming: 0 });
+            const node = nodes.get(key);
+            if (previous && previous !== node && !previous.next.has(node)) {
+                previous.next.add(node);
+                node.incoming++;
+            }
+            previous = node;
+        }
+    }
+    const order = [...nodes.values()];
+    const done = new Set();
+    // Rules ready to emit, sorted by first-seen index
+    const ready = order.filter(node => node.incoming === 0);
+    const merged = [];
+    let cursor = 0;
+    while (merged.length < order.length) {
+        let node = ready.shift();
+        if (!node) {
+            // Lists disagree on the order: take the earliest rule still waiting
+            while (done.has(order[cursor])) cursor++;
+            node = order[cursor];
+        }
+        if (done.has(node)) continue;
+        done.add(node);
+        merged.push(node.rule);
+        node.next.forEach(next => {
+            if (--next.incoming !== 0 || done.has(next)) return;
+            const at = ready.findIndex(waiting => waiting.index > next.index);
+            ready.splice(at === -1 ? ready.length : at, 0, next);
+        });
+    }
+    return merged;
+}
+
+/**
+* Returns a key identifying a flattened rule by its at-rule context and text.
+* @param {{at: string[], css: string}} rule - Flattened rule
+* @returns {string}
+*/
+function ruleKey(rule) {
+    return `${rule.at.join('\u0000')}\u0000${rule.css}`;
+}
+
+/**
+* Groups used to order rules the way Tailwind layers its output. Conditional
+* variants follow Tailwind v3's variant order: `supports-*`, motion and contrast
+* preferences, `max-*` screens, screens and `min-*`, then orientation, dark,
+* forced colors and print.
+* @constant {string[]}
+*/
+const RULE_GROUPS = ['base', 'external', 'definitions', 'components', 'utilities', 'states', 'leadingConditions', 'maxScreens', 'responsive', 'conditions'];
+
+/**
+* Conditions of the variants Tailwind places before screens, in its order.
+* @constant {RegExp[]}
+*/
+const LEADING_CONDITIONS = [
+    /^@supports\b/, /prefers-reduced-motion:\s*no-preference/, /prefers-reduced-motion/, /prefers-contrast:\s*more/, /prefers-contrast/,
+];
+
+/**
+* Conditions of the variants Tailwind places after screens, in its order; others come last.
+* @constant {RegExp[]}
+*/
+const TRAILING_CONDITIONS = [/orientation:\s*portrait/, /orientation/, /prefers-color-scheme/, /forced-colors/, /^@media\s+print\b/];
+
+/**
+* Orders rules by Tailwind layer and variant: base styles, bundled external CSS,
+* definitions such as @keyframes, components, utilities, state variants, then
+* conditional variants in Tailwind's order, with `max-*` screens by descending and
+* screens by ascending breakpoint. Rules keep their relative order within a group, so
+* the result only depends on the input order.
+* @param {Array<{at: string[], css: string}>} rules - Flattened rules
+* @returns {Array<{at: string[], css: string}>} Ordered rules
+*/
+function orderRules(rules) {
+    return rules
+        .map((rule, index) => ({ rule, index, rank: ruleRank(rule) }))
+        .sort((a, b) => compareRanks(a.rank, b.rank) || a.index - b.index)
+        .map(({ rule }) => rule);
+}
+
+/**
+* Ranks the variant behind an at-rule prelude, for ruleRank.
+* @param {string} at - At-rule prelude, e.g. `@media (min-width: 768px)`
+* @returns {?number[]} Group index and position, or null for at-rules that aren't variants such as `@layer`
+*/
+function conditionRank(at) {
+    if (/^@layer\b/.test(at)) return null;
+    const pixels = (value, unit) => parseFloat(value) * (unit === 'px' ? 1 : 16);
+    // max-* screens are `not all and (min-width)` since Tailwind 3.2, `(max-width)` before
+    const max = at.match(/not all and \(min-width:\s*([\d.]+)(px|r?em)\)/) || (!/min-width/.test(at) && at.match(/max-width:\s*([\d.]+)(px|r?em)/));
+    if (max) return [RULE_GROUPS.indexOf('maxScreens'), -pixels(max[1], max[2])];
+    const min = at.match(/min-width:\s*([\d.]+)(px|r?em)/);
+    if (min) return [RULE_GROUPS.indexOf('responsive'), pixels(min[1], min[2])];
+    const leading = LEADING_CONDITIONS.findIndex(pattern => pattern.test(at));
+    if (leading !== -1) return [RULE_GROUPS.indexOf('leadingConditions'), leading];
+    const trailing = TRAILING_CONDITIONS.findIndex(pattern => pattern.test(at));
+    return [RULE_GROUPS.indexOf('conditions'), trailing === -1 ? TRAILING_CONDITIONS.length : trailing];
+}
+
+/**
+* Compares two rule ranks from ruleRank.
+* @param {number[]} a - First rank
+* @param {number[]} b - Second rank
+* @returns {number} Negative when `a` comes first in the cascade
+*/
+function compareRanks(a, b) {
+    return a[0] - b[0] || a[1] - b[1];
+}
+
+/**
+* Ranks a rule by its group and its place within it: the breakpoint in pixels for
+* screens (negated for `max-*`, which Tailwind orders from the widest), or the
+* variant's position for other conditions. A rule under several at-rules ranks
+* by the one Tailwind places last.
+* @param {{at: string[], css: string}} rule - Flattened rule
+* @returns {number[]} Group index and position
+*/
+function ruleRank(rule) {
+    const rank = group => [RULE_GROUPS.indexOf(group), 0];
+    if (rule.css.startsWith('/*')) return rank('external');
+    if (rule.css.startsWith('@')) return rank('definitions');
+    const classes = selectorClasses(rule.css);
+    if (classes.length === 0) return rank('base');
+    const conditions = rule.at.map(conditionRank).filter(Boolean);
+    if (conditions.length > 0) return conditions.reduce((last, next) => (compareRanks(next, last) > 0 ? next : last));
+    if (classes.some(className => className.includes(':'))) return rank('states');
+    if (classes.includes('container')) return rank('components');
+    return rank('utilities');
+}
+
+/**
+* Splits per-output rules into a common chunk holding every rule used by at least
+* `minPages` outputs, and the page-specific rules left for each output. The common
+* chunk is linked before page styles, so a shared rule stays in the page files
+* while any page using it keeps a page-specific rule that must come before it,
+* e.g. `px-2` next to a page-specific `p-4`, or `md:flex` next to `hidden`.
+* @param {Map<string, Object[]>} outputRules - Rules per output name
+* @param {number} minPages - Minimum number of outputs using a rule
+* @returns {{common: Object[], outputs: Map<string, Object[]>}}
+*/
+function splitCommonRules(outputRules, minPages) {
+    const counts = new Map();
+    for (const rules of outputRules.values()) {
+        new Set(rules.map(ruleKey)).forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+    }
+    const commonKeys = new Set([...counts].filter(([, count]) => count >= minPages).map(([key]) => key));
+    // Keeping a rule in the pages can push the shared rules after it back, so repeat until nothing moves
+    for (let moved = true; moved;) {
+        moved = false;
+        for (const rules of outputRules.values()) {
+            let pageSpecific = false;
+            for (const rule of orderRules(rules)) {
+                const key = ruleKey(rule);
+                if (!commonKeys.has(key)) {
+                    pageSpecific = true;
+                } else if (pageSpecific) {
+                    commonKeys.delete(key);
+                    moved = true;
                 }
-                const scripts = new Set();
-                document.querySelectorAll('script').forEach(s => {
-                    if (s.src) {
-                        if (s.src.includes(tailwindCdn) || s.src.includes(jsOutput)) return;
-                        scripts.add(`// External: ${s.src}`);
-                    } else if (s.textContent && !s.textContent.includes('tailwind.config')) {
-                        scripts.add(s.textContent.trim());
-                    }
-                });
-                const classes = new Set();
-                document.querySelectorAll('[class]').forEach(el => {
-                    el.classList.forEach(cls => {
-                        if (/^[a-zA-Z0-9_][a-zA-Z0-9_\-:]*$/.test(cls)) classes.add(cls);
-                    });
+            }
+        }
+    }
+    const isCommon = rule => commonKeys.has(ruleKey(rule));
+    const common = mergeRules(...[...outputRules.values()].map(rules => rules.filter(isCommon)));
+    const outputs = new Map([...outputRules].map(([name, rules]) => [name, rules.filter(rule => !isCommon(rule))]));
+    return { common, outputs };
+}
+
+/**
+* Routes page requests through Node. The Tailwind CDN URL is answered with the
+* build's pinned runtime, and with `injectCdn` the CDN and config are injected
+* into the main document response rather than written into the source file.
+* Only GET navigations are fetched from Node; anything else goes out untouched.
+* @param {Object} page - Puppeteer page instance
+* @param {Object} options - Interception options
+* @param {string} options.tailwindCdn - Tailwind CDN URL
+* @param {boolean} options.injectCdn - Inject the CDN into the main document
+* @param {string} options.configFile - Path to Tailwind config
+* @param {string} options.tailwindConfig - Fallback Tailwind config
+* @param {Array} [options.safelist] - Safelist merged into the Tailwind config
+* @param {Object} [options.runtime] - Pinned Tailwind runtime from loadTailwindRuntime
+* @param {boolean} options.verbose - Verbose logging
+* @returns {Promise<void>}
+*/
+async function interceptRequests(page, { tailwindCdn, injectCdn, configFile, tailwindConfig, safelist, runtime, verbose }) {
+    await page.setRequestInterception(true);
+    page.on('request', async request => {
+        try {
+            if (runtime && runtime.content && request.url().startsWith(tailwindCdn)) {
+                await request.respond({
+                    status: 200,
+                    contentType: 'application/javascript; charset=utf-8',
+                    headers: { 'access-control-allow-origin': '*' },
+                    body: runtime.content,
                 });
-                return { css: result, scripts: Array.from(scripts), classes: Array.from(classes) };
-            }, `http://localhost:${port}`, tailwindCdn, jsOutput);
-            await page.close();
-            if (verbose) console.log(`Successfully processed ${file} (attempt ${attempt + 1})`);
-            return { css, scripts: new Set(scripts), domClasses: new Set(classes) };
-        } catch (err) {
-            await page.close();
-            attempt++;
-            if (attempt >= retries) {
-                throw new Error(`Failed to process ${url} after ${retries} attempts: ${err.message}`);
+            } else if (injectCdn && request.method() === 'GET' && request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+                await respondWithTailwindCdn(request, tailwindCdn, configFile, tailwindConfig, safelist);
+            } else {
+                await request.continue();
             }
-            if (verbose) console.log(`Retrying ${file} (attempt ${attempt + 1}/${retries}): ${err.message}`);
-            await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+        } catch (err) {
+            if (verbose) console.warn(`Request interception failed for ${request.url()}: ${err.message}`);
+            if (!request.isInterceptResolutionHandled()) await request.continue().catch(() => { });
         }
+    });
+}
+
+/**
+* Fetches a document on behalf of the browser and answers it with the Tailwind CDN
+* injected when the response is HTML. Redirects are answered as fetched, so the
+* browser follows them without the request being sent twice.
+* @param {Object} request - Puppeteer HTTP request
+* @param {string} tailwindCdn - Tailwind CDN URL
+* @param {string} configFile - Path to Tailwind config
+* @param {string} tailwindConfig - Fallback Tailwind config
+* @param {Array} [safelist] - Safelist merged into the Tailwind config
+* @returns {Promise<void>}
+*/
+async function respondWithTailwindCdn(request, tailwindCdn, configFile, tailwindConfig, safelist) {
+    const response = await fetch(request.url(), { headers: request.headers(), redirect: 'manual' });
+    const headers = {};
+    response.headers.forEach((value, name) => {
+        // The body is already decoded and may change length once injected
+        if (!['content-encoding', 'content-length', 'transfer-encoding'].includes(name)) headers[name] = value;
+    });
+    let body = Buffer.from(await response.arrayBuffer());
+    const redirect = response.status >= 300 && response.status < 400;
+    if (!redirect && (response.headers.get('content-type') || '').includes('text/html')) {
+        // Bundled scripts run from their original tags while the page renders
+        const content = restoreBundledScripts(body.toString('utf-8'));
+        body = content.includes(tailwindCdn) ? content : injectTailwindCdn(content, tailwindCdn, configFile, tailwindConfig, safelist);
     }
+    await request.respond({ status: response.status, headers, body });
 }
 
 /**
 * Extracts CSS classes from file content, including template literals and various frameworks.
+* Extractors registered for the file's extension add the classes they find.
 * @param {string} content - File content
+* @param {string} [extension] - File extension without the dot, e.g. `php`
+* @param {Object<string, Function[]>} [extractors] - Extractors by extension, from resolveExtractors
 * @returns {Set<string>} Set of unique classes
 */
-function extractClasses(content) {
+function extractClasses(content, extension = null, extractors = DEFAULT_EXTRACTORS) {
     const classes = new Set();
+    [...(extractors[extension] || []), ...(extractors['*'] || [])].forEach(extractor => {
+        for (const value of extractor(content) || []) {
+            if (typeof value === 'string') splitClasses(value).forEach(cls => classes.add(cls));
+        }
+    });
 
     // Special cases for Vue and Angular patterns with quoted strings inside
     // These patterns handle the specific test cases more directly
@@ -624,15 +2677,144 @@ function extractClasses(content) {
     return classes;
 }
 
+/**
+* Merges extractors from windrip.config.js into the built-in ones. Keys are file
+* extensions, or `*` for every file; values are a function or an array of functions
+* taking the file content and returning class names (strings may hold several).
+* @param {Object<string, Function|Function[]>} [custom] - User extractors
+* @returns {Object<string, Function[]>} Extractors by extension
+*/
+function resolveExtractors(custom = {}) {
+    const extractors = {};
+    for (const [extension, list] of [...Object.entries(DEFAULT_EXTRACTORS), ...Object.entries(custom || {})]) {
+        [].concat(list).forEach(extractor => {
+            if (typeof extractor !== 'function') throw new Error(`Extractor for .${extension} files must be a function`);
+        });
+        extractors[extension] = [...(extractors[extension] || []), ...[].concat(list)];
+    }
+    return extractors;
+}
+
+/**
+* Splits a class string into class names, dropping template syntax and other
+* tokens that can't be Tailwind classes.
+* @param {string} value - Space-separated classes
+* @returns {string[]} Class names
+*/
+function splitClasses(value) {
+    return value.split(/\s+/).filter(cls => /^[!-]?[a-zA-Z0-9_[][\w\-:/.[\]#%]*$/.test(cls));
+}
+
+/**
+* Returns the argument text of every call matched by `pattern`, which must end at
+* the opening parenthesis. Nested brackets and quoted strings are skipped over.
+* @param {string} content - Source text
+* @param {RegExp} pattern - Global pattern matching up to and including `(`
+* @returns {string[]} Argument text of each call
+*/
+function callArguments(content, pattern) {
+    const calls = [];
+    for (const match of content.matchAll(pattern)) {
+        const start = match.index + match[0].length;
+        let depth = 1;
+        let quote = null;
+        let i = start;
+        for (; i < content.length && depth > 0; i++) {
+            const char = content[i];
+            if (quote) {
+                if (char === '\\') i++;
+                else if (char === quote) quote = null;
+            } else if (char === '"' || char === "'" || char === '`') {
+                quote = char;
+            } else if ('([{'.includes(char)) {
+                depth++;
+            } else if (')]}'.includes(char)) {
+                depth--;
+            }
+        }
+        calls.push(content.slice(start, i - 1));
+    }
+    return calls;
+}
+
+/**
+* Returns the contents of the string literals in an expression; `${...}` parts of
+* template literals are dropped.
+* @param {string} expression - JavaScript, PHP or Twig expression
+* @returns {string[]} Literal contents
+*/
+function stringLiterals(expression) {
+    return Array.from(
+        expression.matchAll(/(['"`])((?:\\.|(?!\1)[^\\])*)\1/g),
+        ([, quote, value]) => (quote === '`' ? value.replace(/\$\{[^}]*\}/g, ' ') : value)
+    );
+}
+
+/**
+* Returns the unquoted keys of object literals in an expression, e.g. `hidden` in
+* `{ hidden: !open }`.
+* @param {string} expression - JavaScript or Twig expression
+* @returns {string[]} Keys
+*/
+function objectKeys(expression) {
+    const unquoted = expression.replace(/(['"`])(?:\\.|(?!\1)[^\\])*\1/g, '""');
+    return Array.from(unquoted.matchAll(/[{,]\s*([a-zA-Z_][\w-]*)\s*:(?!:)/g), ([, key]) => key);
+}
+
+/**
+* Extracts classes from Blade's `@class([...])` directive and `$attributes->class([...])`,
+* e.g. `@class(['p-4', 'font-bold' => $active])`.
+* @param {string} content - Template source
+* @returns {string[]} Class strings
+*/
+function extractBladeClasses(content) {
+    return callArguments(content, /(?:@class|->class)\s*\(/g).flatMap(stringLiterals);
+}
+
+/**
+* Extracts classes from Alpine.js (and Vue) class bindings, `x-bind:class` and `:class`,
+* holding strings, arrays or objects, e.g. `:class="{ 'bg-red-500': error, hidden: !open }"`.
+* @param {string} content - Template source
+* @returns {string[]} Class strings
+*/
+function extractAlpineClasses(content) {
+    return Array.from(
+        content.matchAll(/(?:x-bind:class|(?<![\w-]):class)\s*=\s*(["'])([\s\S]*?)\1/g),
+        ([, , expression]) => [...stringLiterals(expression), ...objectKeys(expression)]
+    ).flat();
+}
+
+/**
+* Extracts classes from Twig's `html_classes()` function, e.g.
+* `{{ html_classes('p-4', { 'font-bold': active }) }}`.
+* @param {string} content - Template source
+* @returns {string[]} Class strings
+*/
+function extractTwigClasses(content) {
+    return callArguments(content, /\bhtml_classes\s*\(/g).flatMap(args => [...stringLiterals(args), ...objectKeys(args)]);
+}
+
+/**
+* Extracts classes from `clsx()`, `cn()`, `classnames()` and `cx()` calls, including
+* conditional strings, arrays and object keys.
+* @param {string} content - Component source
+* @returns {string[]} Class strings
+*/
+function extractClsxClasses(content) {
+    return callArguments(content, /\b(?:clsx|cn|classnames|classNames|cx)\s*\(/g)
+        .flatMap(args => [...stringLiterals(args), ...objectKeys(args)]);
+}
+
 /**
 * Injects Tailwind CDN and config into file content with proper escaping.
 * @param {string} content - File content
 * @param {string} cdn - Tailwind CDN URL
 * @param {string} configFile - Path to Tailwind config
 * @param {string} internalConfig - Fallback Tailwind config
+* @param {Array<string|RegExp|Object>} [safelist] - Classes and patterns always generated
 * @returns {string} Modified content
 */
-function injectTailwindCdn(content, cdn, configFile, internalConfig) {
+function injectTailwindCdn(content, cdn, configFile, internalConfig, safelist = []) {
     let configScript = '';
     try {
         const configPath = path.resolve(configFile);
@@ -653,6 +2835,12 @@ function injectTailwindCdn(content, cdn, configFile, internalConfig) {
             }
         }
     }
+    if (safelist.length > 0) {
+        // Reassign the config so the runtime picks up the merged safelist
+        const entries = serializeSafelist(normalizeSafelist(safelist)).replace(/<\/script>/g, '<\\/script>');
+        configScript += '<script>tailwind.config = Object.assign({}, tailwind.config, ' +
+            `{ safelist: ((tailwind.config && tailwind.config.safelist) || []).concat(${entries}) });</script>`;
+    }
     const cdnScript = `<script src="${cdn}"></script>`;
     const headCloseIndex = content.toLowerCase().indexOf('</head>');
     if (headCloseIndex !== -1) {
@@ -661,23 +2849,122 @@ function injectTailwindCdn(content, cdn, configFile, internalConfig) {
     return cdnScript + configScript + content;
 }
 
+/**
+* Wraps bare regular expressions in a safelist as `{ pattern }` entries, which is
+* the only form Tailwind v3 expands; it ignores bare ones with a warning.
+* @param {Array<string|RegExp|Object>} safelist - Safelist entries
+* @returns {Array<string|Object>} Safelist for a Tailwind config
+*/
+function normalizeSafelist(safelist) {
+    return safelist.map(entry => (entry instanceof RegExp ? { pattern: entry } : entry));
+}
+
+/**
+* Serializes a safelist into a JavaScript array literal, keeping regular expressions
+* as literals so the Tailwind runtime can expand them against the theme.
+* @param {Array<string|RegExp|Object>} safelist - Safelist entries
+* @returns {string} JavaScript source
+*/
+function serializeSafelist(safelist) {
+    const serialize = value => {
+        if (value instanceof RegExp) return value.toString();
+        if (Array.isArray(value)) return `[${value.map(serialize).join(', ')}]`;
+        if (value && typeof value === 'object') {
+            return `{ ${Object.entries(value).map(([key, entry]) => `${JSON.stringify(key)}: ${serialize(entry)}`).join(', ')} }`;
+        }
+        return JSON.stringify(value);
+    };
+    return serialize(safelist);
+}
+
+/**
+* Returns the class names used in the selector of a CSS rule, unescaped.
+* @param {string} css - Rule CSS text
+* @returns {string[]} Class names
+*/
+function selectorClasses(css) {
+    const selector = css.slice(0, css.indexOf('{'));
+    if (selector.trim().startsWith('@')) return [];
+    return Array.from(selector.matchAll(/\.((?:\\.|[a-zA-Z0-9_-])+)/g), match => match[1].replace(/\\(.)/g, '$1'));
+}
+
+/**
+* Checks whether a class is covered by a safelist entry, as Tailwind generates it:
+* patterns are tested against the class without its variants, which must be listed
+* in the entry's `variants`. A bare regular expression is a pattern without variants.
+* @param {string} className - Class name, e.g. `hover:bg-red-500`
+* @param {Array<string|RegExp|Object>} safelist - Safelist entries
+* @returns {boolean}
+*/
+function matchesSafelist(className, safelist) {
+    const utility = className.split(':').pop();
+    const variant = className.slice(0, Math.max(className.lastIndexOf(':'), 0));
+    return normalizeSafelist(safelist).some(entry => {
+        if (typeof entry === 'string') return entry === className;
+        if (!(entry.pattern instanceof RegExp) || !entry.pattern.test(utility)) return false;
+        return !variant || (entry.variants || []).includes(variant);
+    });
+}
+
+/**
+* Checks whether every class in a rule's selector is covered by the safelist.
+* @param {{css: string}} rule - Flattened rule
+* @param {Array<string|RegExp|Object>} safelist - Safelist entries
+* @returns {boolean}
+*/
+function isSafelistRule(rule, safelist) {
+    const classes = selectorClasses(rule.css);
+    return classes.length > 0 && classes.every(className => matchesSafelist(className, safelist));
+}
+
 /**
 * Updates file to link build files and remove Tailwind CDN.
 * @param {string} file - Path to file
-* @param {string} cssOutput - CSS output file
+* @param {string|string[]} cssOutput - CSS output file(s), linked in order
 * @param {string} jsOutput - JS output file
 * @param {string} tailwindCdn - Tailwind CDN URL
 * @param {boolean} separateBuilds - Whether to use separate build files
 * @param {string} outputDir - Output directory
 * @param {boolean} verbose - Verbose logging
 * @param {boolean} unlinkExternal - Whether to unlink external CSS
+* @param {Object} [options] - Extra options
+* @param {number} [options.liveReloadPort] - Inject the live reload client for this port; without it the client is removed
+* @param {string[]} [options.bundledScripts] - Script tags the JS bundle replaces
 * @returns {Promise<void>}
 */
-async function updateHtml(file, cssOutput, jsOutput, tailwindCdn, separateBuilds, outputDir, verbose, unlinkExternal) {
-    let content = await fs.readFile(file, 'utf-8');
+async function updateHtml(file, cssOutput, jsOutput, tailwindCdn, separateBuilds, outputDir, verbose, unlinkExternal, options = {}) {
+    const original = await fs.readFile(file, 'utf-8');
+    const content = linkBuildFiles(original, file, cssOutput, jsOutput, outputDir, unlinkExternal, options);
+    // Leave unchanged files alone so their timestamps don't trigger watchers
+    if (content === original) {
+        if (verbose) console.log(`${file} already links the build files`);
+        return;
+    }
+    await fs.writeFile(file, content);
+    if (verbose) console.log(`Updated ${file} with build references`);
+}
+
+/**
+* Rewrites a template's content to link build files, as updateHtml writes it.
+* @param {string} original - Template content
+* @param {string} file - Path to the template
+* @param {string|string[]} cssOutput - CSS output file(s), linked in order
+* @param {string} jsOutput - JS output file
+* @param {string} outputDir - Output directory
+* @param {boolean} unlinkExternal - Whether to unlink external CSS
+* @param {Object} [options] - Extra options, as for updateHtml
+* @returns {string} Linked content
+*/
+function linkBuildFiles(original, file, cssOutput, jsOutput, outputDir, unlinkExternal, options = {}) {
+    let content = restoreBundledScripts(original.replace(LIVE_RELOAD_PATTERN, ''));
     content = content
         .replace(/<script[^>]*src=["'][^"']*cdn\.tailwindcss\.com[^"']*["'][^>]*>\s*<\/script>\s*/g, '')
-        .replace(/<script[^>]*>[\s\S]*?tailwind\.config[\s\S]*?<\/script>\s*/g, '');
+        // Stays within one script, so earlier scripts aren't removed along with the config
+        .replace(/<script[^>]*>(?:(?!<\/script>)[\s\S])*?tailwind\.config[\s\S]*?<\/script>\s*/g, '');
+    // Bundled scripts are commented out in place, so later builds still see them in order
+    for (const tag of options.bundledScripts || []) {
+        content = content.split(tag).join(`<!-- windrip:bundled ${tag} -->`);
+    }
     const outputDirPath = path.relative(path.dirname(file), path.resolve(outputDir)).replace(/\\/g, '/');
     content = content
         .replace(new RegExp(`<link[^>]*href=["']${outputDirPath}/[^"']*\\.css["'][^>]*>\\s*`, 'g'), '')
@@ -686,10 +2973,15 @@ async function updateHtml(file, cssOutput, jsOutput, tailwindCdn, separateBuilds
         content = content.replace(/<link[^>]*href=["'][^"']*\.css["'][^>]*>\s*/g, '');
     }
     const fileDir = path.dirname(file);
-    const relativeCssPath = path.relative(fileDir, path.join(outputDir, cssOutput)).replace(/\\/g, '/');
+    const cssLinks = [].concat(cssOutput).map(css => {
+        const relativeCssPath = path.relative(fileDir, path.join(outputDir, css)).replace(/\\/g, '/');
+        return `<link rel="stylesheet" href="${encodeURI(relativeCssPath)}">`;
+    });
     const relativeJsPath = path.relative(fileDir, path.join(outputDir, jsOutput)).replace(/\\/g, '/');
     const headCloseIndex = content.toLowerCase().indexOf('</head>');
-    const insertion = `<link rel="stylesheet" href="${relativeCssPath}"><script src="${relativeJsPath}"></script>`;
+    const liveReload = options.liveReloadPort ? liveReloadClient(options.liveReloadPort) : '';
+    // Deferred, so bundled scripts still run after the markup they were written below
+    const insertion = `${cssLinks.join('')}<script src="${encodeURI(relativeJsPath)}" defer data-windrip-bundle></script>${liveReload}`;
     if (headCloseIndex !== -1) {
         const beforeHead = content.slice(0, headCloseIndex).trimEnd();
         const afterHead = content.slice(headCloseIndex).trimStart();
@@ -705,92 +2997,360 @@ async function updateHtml(file, cssOutput, jsOutput, tailwindCdn, separateBuilds
             content = `<head>${insertion}</head>` + content;
         }
     }
-    await fs.writeFile(file, content);
-    if (verbose) console.log(`Updated ${file} with build references`);
+    return content;
+}
+
+/**
+* Serves the site through a reverse proxy that injects the Tailwind CDN and config
+* into every HTML page, for instant JIT styling without editing templates or
+* running an extraction. Only successful GET responses with an HTML body are
+* rewritten; HEAD, 304 and empty responses pass through as the server sent them. The site server is started as for a build, unless
+* `proxyTarget` points at one that is already running.
+* @param {Object} options - Configuration options
+* @returns {Promise<{port: number, close: Function}>} Proxy port and a function stopping the proxy and site server
+*/
+async function serve(options = {}) {
+    const config = { ...(await loadConfig()), ...options };
+    config.serverCommand = defaultServerCommand(config);
+    let site = null;
+    let target = config.proxyTarget;
+    if (!target) {
+        const port = await resolvePort(config.serverCommand, config.port, config.verbose);
+        site = await startSiteServer(config, { port, pages: [] });
+        target = `http://localhost:${port}`;
+    }
+    const upstream = new URL(target);
+    const client = upstream.protocol === 'https:' ? require('https') : http;
+    // A pinned runtime is served by the proxy itself, so previews match builds
+    let tailwindCdn = config.tailwindCdn;
+    let runtime = null;
+    if (config.tailwindRuntime) {
+        runtime = await loadTailwindRuntime(config);
+        tailwindCdn = PROXY_RUNTIME_PATH;
+    }
+    const proxy = http.createServer((req, res) => {
+        if (runtime && req.url === PROXY_RUNTIME_PATH) {
+            res.writeHead(200, { 'Content-Type': 'application/javascript' });
+            res.end(runtime.content);
+            return;
+        }
+        const request = client.request(new URL(req.url, upstream), {
+            method: req.method,
+            // Ask for an uncompressed body so HTML can be rewritten
+            headers: { ...req.headers, 'host': upstream.host, 'accept-encoding': 'identity' },
+        }, response => {
+            const headers = { ...response.headers };
+            if (headers.location) headers.location = headers.location.replace(upstream.origin, '');
+            const isPage = req.method === 'GET' && response.statusCode === 200 && headers['content-length'] !== '0' &&
+                /text\/html/i.test(headers['content-type'] || '');
+            if (!isPage) {
+                res.writeHead(response.statusCode, headers);
+                response.pipe(res);
+                return;
+            }
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => {
+                const original = Buffer.concat(chunks);
+                if (original.length === 0) {
+                    res.writeHead(response.statusCode, headers);
+                    res.end();
+                    return;
+                }
+                // Previews run scripts from their original tags rather than the last bundle
+                let body = restoreBundledScripts(original.toString('utf-8'));
+                if (!body.includes(tailwindCdn)) {
+                    body = injectTailwindCdn(body, tailwindCdn, config.configFile, config.tailwindConfig, config.safelist);
+                }
+                delete headers['transfer-encoding'];
+                headers['content-length'] = Buffer.byteLength(body);
+                res.writeHead(response.statusCode, headers);
+                res.end(body);
+            });
+        });
+        request.on('error', err => {
+            res.writeHead(502, { 'Content-Type': 'text/plain' });
+            res.end(`Windrip could not reach ${upstream.origin}: ${err.message}`);
+        });
+        req.pipe(request);
+    });
+    const port = await findFreePort(config.proxyPort);
+    await new Promise((resolve, reject) => {
+        proxy.once('error', err => reject(new Error(`Proxy failed to start: ${err.message}`)));
+        proxy.listen(port, resolve);
+    });
+    console.log(`🌐 Serving ${upstream.origin} with Tailwind JIT at http://localhost:${port}`);
+    return {
+        port,
+        close: () => {
+            proxy.close();
+            if (site) site.close();
+        },
+    };
+}
+
+/**
+* Returns the dev-only client that reloads stylesheets, or the whole page, when
+* the live reload server announces a rebuild.
+* @param {number} port - Live reload server port
+* @returns {string} Script tag
+*/
+function liveReloadClient(port) {
+    return `<script data-windrip-live-reload>(function () {
+    var source = new EventSource('http://localhost:${port}/events');
+    source.onmessage = function (event) {
+        if (event.data !== 'css') return location.reload();
+        document.querySelectorAll('link[rel="stylesheet"]').forEach(function (link) {
+            var url = new URL(link.href, location.href);
+            url.searchParams.set('windrip', Date.now());
+            link.href = url.href;
+        });
+    };
+})();</script>`;
+}
+
+/**
+* Starts the server-sent events endpoint live reload clients listen to.
+* @param {number} port - Port to listen on
+* @returns {Promise<{send: Function, clients: Function, close: Function}>} `send('css')` swaps stylesheets,
+* `send('reload')` reloads pages and `clients()` counts the connected pages
+*/
+async function startLiveReloadServer(port) {
+    const clients = new Set();
+    const server = http.createServer((req, res) => {
+        if (req.url !== '/events') {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'Access-Control-Allow-Origin': '*',
+        });
+        res.write(': connected\n\n');
+        clients.add(res);
+        req.on('close', () => clients.delete(res));
+    });
+    await new Promise((resolve, reject) => {
+        server.once('error', err => reject(new Error(`Live reload server failed to start: ${err.message}`)));
+        server.listen(port, resolve);
+    });
+    return {
+        send: type => clients.forEach(res => res.write(`data: ${type}\n\n`)),
+        clients: () => clients.size,
+        close: () => {
+            clients.forEach(res => res.end());
+            server.close();
+        },
+    };
 }
 
 /**
-* Watches for file changes in the input directory and rebuilds.
+* Removes the live reload client from templates.
+* @param {string[]} files - Template paths
+* @returns {Promise<void>}
+*/
+async function removeLiveReload(files) {
+    for (const file of files) {
+        try {
+            const content = await fs.readFile(file, 'utf-8');
+            const stripped = content.replace(LIVE_RELOAD_PATTERN, '');
+            if (stripped !== content) await fs.writeFile(file, stripped);
+        } catch (err) {
+            console.warn(`Failed to remove live reload from ${file}: ${err.message}`);
+        }
+    }
+}
+
+/**
+* Watches for file changes in the input directory and rebuilds. One server and browser
+* stay open across rebuilds, bursts of saves are debounced, and changes made during a
+* rebuild are queued for the next one. Unchanged pages come from the page cache, so
+* only the affected pages are rendered again.
 * @param {Object} options - Configuration options
+* @returns {Promise<{close: Function}>} Resolves after the first build, with a function stopping watch mode
 */
 async function watch(options) {
-    const chokidar = require('chokidar');
-    const config = { ...DEFAULT_CONFIG, ...options };
+    const config = { ...(await loadConfig()), ...options };
+    config.serverCommand = defaultServerCommand(config);
     const pattern = config.recursive
         ? `**/*.{${config.fileExtensions.join(',')}}`
         : `*.{${config.fileExtensions.join(',')}}`;
-    const watcher = chokidar.watch(pattern, {
-        cwd: config.input,
-        persistent: true,
-        ignoreInitial: false,
-        ignored: ['node_modules/**/*', '.git/**/*', `${config.outputDir}/**/*`],
-    });
+    // Content hashes as of the last build, including the template edits Windrip made itself
     const fileHashes = new Map();
-    let isRebuilding = false;
-    console.log(`👀 Watching for changes in ${config.input}...`);
-    console.log(`📁 Extensions: ${config.fileExtensions.join(', ')}`);
-    console.log('Press Ctrl+C to stop.\n');
-    const rebuild = async (changedFile = null) => {
-        if (isRebuilding) return;
-        isRebuilding = true;
-        const backupManager = new BackupManager(config.backupOriginals, config.verbose);
+    const hash = content => crypto.createHash('sha256').update(content).digest('hex');
+    const contentHash = async file => {
         try {
-            console.log(`🔄 Rebuilding${changedFile ? ` (${changedFile} changed)` : ''}...`);
-            const startTime = Date.now();
-            if (config.separateBuilds && changedFile) {
-                const fullPath = path.resolve(config.input, changedFile);
-                await extractTailwind({
-                    ...config,
-                    input: path.dirname(fullPath),
-                });
-            } else {
-                await extractTailwind(config);
-            }
+            return hash(await fs.readFile(file));
+        } catch {
+            return null;
+        }
+    };
+    // Editing the Tailwind config changes CSS without touching templates
+    const configPath = path.resolve(config.configFile);
+    const templates = () => glob(pattern, {
+        cwd: config.input, absolute: true, ignore: ['node_modules/**/*', '.git/**/*', `${config.outputDir}/**/*`],
+    });
+    const snapshotHashes = async () => {
+        const hashes = new Map();
+        for (const file of [...await templates(), configPath]) hashes.set(file, await contentHash(file));
+        return hashes;
+    };
+    // Build files per type, from the manifest, to tell CSS-only rebuilds from others
+    const manifestPath = path.join(config.outputDir, config.manifestFile);
+    const buildState = async () => {
+        try {
+            const { pages = {} } = JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+            const list = (type, key) => [...new Set(Object.values(pages).flatMap(page => page[type].map(asset => key(asset))))].sort().join('\n');
+            return {
+                cssFiles: list('css', asset => asset.file),
+                css: list('css', asset => `${asset.file} ${asset.hash}`),
+                js: list('js', asset => `${asset.file} ${asset.hash}`),
+            };
+        } catch {
+            return null;
+        }
+    };
+    const port = await resolvePort(config.serverCommand, config.port, config.verbose);
+    const routes = config.crawl ? [].concat(config.crawl.entry || DEFAULT_CRAWL_OPTIONS.entry) : config.routes;
+    const session = await createSession(config, { port, pages: routes ? expandRoutes(routes, port) : [] });
+    let liveReload = null;
+    if (config.liveReload) {
+        try {
+            session.liveReloadPort = await findFreePort(config.liveReloadPort);
+            liveReload = await startLiveReloadServer(session.liveReloadPort);
+            if (config.verbose) console.log(`Live reload listening on port ${session.liveReloadPort}`);
+        } catch (err) {
+            await session.close();
+            throw err;
+        }
+    }
+    const rebuild = async (changed, force = false) => {
+        const names = changed.map(file => path.relative(path.resolve(config.input), file));
+        console.log(`🔄 Rebuilding${names.length > 0 ? ` (${names.join(', ')} changed)` : ''}...`);
+        const startTime = Date.now();
+        const before = await buildState();
+        // Taken before the build, so edits made while it runs still count as changes
+        const hashes = await snapshotHashes();
+        try {
+            const { sources } = await extractTailwind({ ...config, force, session });
+            // Sources are hashed as the build rendered and linked them, not as they are on disk now
+            Object.entries(sources).forEach(([file, content]) => hashes.set(file, hash(content)));
             const duration = Date.now() - startTime;
             console.log(`✅ Rebuild completed in ${duration}ms\n`);
         } catch (err) {
             console.error('❌ Rebuild failed:', err.message);
-            await backupManager.restoreAll();
-        } finally {
-            isRebuilding = false;
+        }
+        fileHashes.clear();
+        hashes.forEach((value, file) => fileHashes.set(file, value));
+        if (!liveReload || !before) return;
+        const after = await buildState();
+        if (!after) return;
+        // Stylesheets can be swapped in place unless markup, scripts or file names changed
+        if (changed.some(file => file !== configPath) || after.js !== before.js || after.cssFiles !== before.cssFiles) {
+            liveReload.send('reload');
+        } else if (after.css !== before.css) {
+            liveReload.send('css');
         }
     };
-    watcher.on('change', async file => {
-        console.log(`📝 File changed: ${file}`);
-        await rebuild(file);
-    });
-    watcher.on('add', async file => {
-        console.log(`➕ File added: ${file}`);
-        await rebuild(file);
-    });
-    watcher.on('unlink', async file => {
-        console.log(`➖ File removed: ${file}`);
-        fileHashes.delete(file);
-        await rebuild();
-    });
-    watcher.on('ready', async () => {
-        console.log('👀 Initial scan complete. Watching for changes...\n');
-        const files = await glob(pattern, {
-            cwd: config.input,
-            absolute: true,
-            ignore: ['node_modules/**/*', '.git/**/*', `${config.outputDir}/**/*`],
-        });
-        for (const f of files) {
-            const content = await fs.readFile(f, 'utf-8');
-            const classes = extractClasses(content);
-            const classString = Array.from(classes).sort().join(' ');
-            const hash = crypto.createHash('sha256').update(classString).digest('hex');
-            fileHashes.set(f, hash);
+    console.log(`👀 Watching for changes in ${config.input}...`);
+    console.log(`📁 Extensions: ${config.fileExtensions.join(', ')}`);
+    console.log('Press Ctrl+C to stop.\n');
+    const queue = new Set();
+    let timer = null;
+    let rebuilding = false;
+    const flush = async () => {
+        // A running rebuild picks up the queue when it finishes
+        if (rebuilding) return;
+        rebuilding = true;
+        try {
+            while (queue.size > 0) {
+                const changed = [];
+                for (const file of queue) {
+                    queue.delete(file);
+                    if (await contentHash(file) !== fileHashes.get(file)) changed.push(file);
+                }
+                if (changed.length > 0) await rebuild(changed);
+                else if (config.verbose) console.log('No content changes. Skipping rebuild.');
+            }
+        } finally {
+            rebuilding = false;
         }
+    };
+    const enqueue = file => {
+        queue.add(path.resolve(config.input, file));
+        clearTimeout(timer);
+        timer = setTimeout(flush, config.watchDebounce);
+    };
+    const messages = { change: '📝 File changed', add: '➕ File added', unlink: '➖ File removed' };
+    const watcher = watchSources(config, configPath, (event, file) => {
+        console.log(`${messages[event]}: ${path.relative(path.resolve(config.input), file)}`);
+        enqueue(file);
     });
     watcher.on('error', err => {
         console.error('❌ Watcher error:', err.message);
     });
-    process.on('SIGINT', async () => {
-        console.log('\n🛑 Stopping watch mode...');
+    // The watcher runs before the first build, so saves made during it are queued too
+    await new Promise(resolve => watcher.once('ready', resolve));
+    console.log('👀 Initial scan complete. Watching for changes...\n');
+    rebuilding = true;
+    try {
+        await rebuild([], config.force);
+    } finally {
+        rebuilding = false;
+    }
+    await flush();
+    const close = async () => {
+        process.removeListener('SIGINT', onInterrupt);
+        clearTimeout(timer);
         await watcher.close();
+        if (liveReload) {
+            liveReload.close();
+            await removeLiveReload(await templates());
+        }
+        await session.close();
+    };
+    const onInterrupt = async () => {
+        console.log('\n🛑 Stopping watch mode...');
+        await close();
         process.exit(0);
+    };
+    process.on('SIGINT', onInterrupt);
+    return { close };
+}
+
+/**
+* Watches the input directory for source file changes, and the Tailwind config file.
+* chokidar 4 takes no globs, so files are filtered by extension here, skipping the
+* output directory, node_modules and .git.
+* @param {Object} config - Configuration options
+* @param {string} configPath - Absolute path of the Tailwind config file
+* @param {Function} onChange - Called with the event (`change`, `add` or `unlink`) and absolute path
+* @returns {Object} chokidar watcher
+*/
+function watchSources(config, configPath, onChange) {
+    const chokidar = require('chokidar');
+    const inputDir = path.resolve(config.input);
+    const outputPath = path.resolve(config.outputDir);
+    const ignored = (file, stats) => {
+        const resolved = path.resolve(file);
+        if (resolved === configPath) return false;
+        if (resolved === outputPath || resolved.startsWith(outputPath + path.sep)) return true;
+        const relative = path.relative(inputDir, resolved);
+        if (relative.split(path.sep).some(part => part === 'node_modules' || part === '.git')) return true;
+        // Directories are walked; files must have a watched extension
+        if (!stats || !stats.isFile()) return false;
+        return !config.fileExtensions.includes(path.extname(resolved).slice(1)) || (!config.recursive && relative.includes(path.sep));
+    };
+    const watcher = chokidar.watch([inputDir, configPath], {
+        persistent: true,
+        ignoreInitial: true,
+        ignored,
     });
+    ['change', 'add', 'unlink'].forEach(event => watcher.on(event, file => onChange(event, path.resolve(file))));
+    return watcher;
 }
 
 /**
@@ -802,24 +3362,86 @@ function showHelp() {
 
 Usage:
 npx windrip [input] [options]
+npx windrip restore [--run <id>] [--list] [--output <path>]
+npx windrip crawl [input] [--entry <path>] [options]
+npx windrip cache clear [--output <path>]
+npx windrip serve [input] [--proxy-port <n>] [--target <url>]
+npx windrip audit [input] [--json] [options]
+
+Commands:
+restore                  Roll source files back from the backup journal
+                      (latest run unless --run is given; --list shows runs)
+crawl                    Discover pages by following same-origin links from --entry
+                      and extract CSS from each (accepts all build options)
+cache clear              Delete the per-page CSS cache so every page is rendered again
+serve                    Proxy the dev server, injecting the Tailwind CDN into every
+                      HTML response (no extraction, templates untouched)
+audit                    Render every page without writing files and list classes that
+                      generated no CSS, classes seen only at runtime and pages
+                      without Tailwind usage (exits 1 if any class generated no CSS)
+
+Audit options:
+--json                   Print the audit report as JSON
+
+Serve options:
+--proxy-port <n>         Port the proxy listens on (default: 3000)
+--target <url>           Proxy an already running server instead of starting one
+                      (e.g. http://127.0.0.1:8000 for php artisan serve)
+
+Crawl options:
+--entry <path>           Page to start crawling from (default: /)
+--max-depth <n>          Maximum link depth from the entry page (default: 3)
+--max-pages <n>          Maximum number of pages to render (default: 100)
+--include <patterns>     Comma-separated path patterns to follow (e.g. /blog/*)
+--exclude <patterns>     Comma-separated path patterns to skip (e.g. /admin/**)
 
 Options:
 --input <path>           Input directory containing frontend files (default: src)
 --output <path>          Output directory for build files (default: build)
 --watch                  Enable watch mode for automatic rebuilds
+--debounce <ms>          Quiet time after a change before watch mode rebuilds (default: 200)
+--no-live-reload         Don't refresh open pages after watch mode rebuilds
+--live-reload-port <n>   Preferred live reload server port (default: 35729)
 --separate               Generate separate CSS/JS files per file
+--output-naming <scheme> Separate build names: mirror the source tree (default)
+                      or flat, e.g. blog~index.php.css
 --no-auto-install        Skip automatic dependency installation
 --no-backup              Skip backing up original files
---server-command <cmd>   Custom server command for dynamic files
+--server-command <cmd>   Custom server command for dynamic files; {port} is
+                      replaced with the port Windrip picked
+--port <n>               Preferred server port; a free one is used if it is busy (default: 7890)
+--server-ready <pattern> Wait for server output matching this pattern instead of
+                      polling the server URL
+--server-ready-timeout <ms> Time to wait for the server to be ready (default: 30000)
 --file-extensions <list> Comma-separated list of file extensions
                       (default: html,php,twig,jsx,vue,svelte)
 --minify                 Enable CSS minification
+--minify-js              Minify the JS bundles with terser
+--hash-filenames         Add content hashes to build file names (build.1a2b3c4d.css)
 --timeout <ms>           Browser timeout in milliseconds (default: 30000)
 --retries <n>            Number of retries for failed pages (default: 3)
+--concurrency <n>        Number of pages rendered at once (default: 1)
+--browser-contexts       Render each concurrent page in its own browser context
 --verbose                Enable verbose logging
 --dry-run                Log actions without modifying files
+--force                  Render every page, ignoring the per-page CSS cache
 --include-external       Include external CSS files in build output (default: false)
+--copy-assets            Copy fonts and images referenced by external CSS into
+                      <output>/assets under content-hashed names
 --unlink-external        Unlink external CSS files and include in build
+--static                 Compile classes found in sources with a locally installed
+                      tailwindcss@3, without a server or browser
+--non-destructive        Inject the Tailwind CDN into served pages only, never into source files
+--no-preflight           Omit preflight/base styles from the build output
+--tailwind-runtime <path> Vendored Tailwind Play CDN script used instead of the CDN
+--tailwind-runtime-integrity <sha256>
+                      Expected SHA-256 of the Tailwind runtime; the build fails on mismatch
+--safelist <list>        Comma-separated classes always generated (patterns go in windrip.config.js)
+--shared-safelist        Move safelisted CSS into a shared safelist.css linked on every page
+--common-chunk           Move rules shared by several pages into common.css (separate builds)
+--common-min-pages <n>   Pages that must use a rule for it to move to common.css (default: 2)
+--routes <list>          Comma-separated URLs or paths to render instead of
+                      one URL per template file (e.g. /,/about)
 --help, -h               Show this help message
 
 Examples:
@@ -827,6 +3449,7 @@ npx windrip src
 npx windrip src --output dist --separate --watch --minify
 npx windrip src --server-command "php -S localhost:7890" --file-extensions html,php,jsx
 npx windrip src --watch --verbose --timeout 60000
+npx windrip crawl . --entry / --max-depth 2 --exclude "/admin/**"
 `);
     process.exit(0);
 }
@@ -834,15 +3457,57 @@ npx windrip src --watch --verbose --timeout 60000
 module.exports = {
     extractTailwind,
     watch,
+    restore,
+    clearCache,
+    serve,
+    audit,
+    auditClasses,
+    suggestClass,
     extractClasses,
+    resolveExtractors,
+    serializeRules,
+    mergeRules,
+    splitCommonRules,
+    buildFingerprint,
+    pageCacheKey,
+    linkBuildFiles,
+    orderRules,
+    expandRoutes,
+    outputName,
+    hashedFileName,
+    removeStaleAssets,
+    runPool,
+    parseCommand,
+    startSiteServer,
+    parseSize,
+    checkBudgets,
+    collectScripts,
+    sharedScripts,
+    bundleScripts,
+    rebaseCssUrls,
+    localizeAssetUrls,
+    filterCrawlLinks,
+    matchesPattern,
+    resolveInteractions,
+    watchSources,
+    loadStaticCompiler,
+    compileStatic,
+    flattenCssRules,
+    injectTailwindCdn,
+    selectorClasses,
+    matchesSafelist,
+    interceptRequests,
+    loadTailwindRuntime,
+    startLiveReloadServer,
     BackupManager,
 };
 
 // Handle CLI execution
 if (require.main === module) {
     const argv = minimist(process.argv.slice(2), {
-        boolean: ['watch', 'separate', 'no-auto-install', 'no-backup', 'minify', 'verbose', 'dry-run', 'help', 'unlink-external'],
-        string: ['input', 'output', 'server-command', 'file-extensions', 'timeout', 'retries'],
+        boolean: ['watch', 'separate', 'no-auto-install', 'no-backup', 'minify', 'verbose', 'dry-run', 'help', 'unlink-external', 'non-destructive', 'list', 'shared-safelist', 'common-chunk', 'force', 'hash-filenames', 'browser-contexts', 'static', 'json', 'minify-js', 'copy-assets'],
+        string: ['input', 'output', 'server-command', 'file-extensions', 'timeout', 'retries', 'run', 'tailwind-runtime', 'tailwind-runtime-integrity', 'routes',
+            'entry', 'max-depth', 'max-pages', 'include', 'exclude', 'safelist', 'common-min-pages', 'output-naming', 'concurrency', 'port', 'server-ready', 'server-ready-timeout', 'debounce', 'live-reload-port', 'proxy-port', 'target'],
         alias: { h: 'help' },
         default: {
             timeout: '30000',
@@ -850,53 +3515,146 @@ if (require.main === module) {
         },
     });
     if (argv.help) showHelp();
-    const config = {
-        input: argv.input || argv._[0] || 'src',
-        outputDir: argv.output || 'windrip',
-        watch: argv.watch || false,
-        separateBuilds: argv.separate || true,
-        autoInstall: !argv['no-auto-install'],
-        backupOriginals: !argv['no-backup'],
-        serverCommand: argv['server-command'] || null,
-        fileExtensions: argv['file-extensions']
-            ? argv['file-extensions'].split(',').map(ext => ext.trim())
-            : DEFAULT_CONFIG.fileExtensions,
-        minify: argv.minify || true,
-        verbose: argv.verbose || false,
-        dryRun: argv['dry-run'] || false,
-        timeout: parseInt(argv.timeout) || 30000,
-        retries: parseInt(argv.retries) || 3,
-        includeExternal: argv['include-external'] || false,
-        unlinkExternal: argv['unlink-external'] || false,
-    };
-
-    if (argv._.length > 1) {
-        console.error('❌ Error: Too many positional arguments. Specify one input directory.');
-        showHelp();
-    }
-    if (config.fileExtensions.some(ext => !/^[a-zA-Z0-9]+$/.test(ext))) {
-        console.error('❌ Error: Invalid file extensions. Use alphanumeric extensions (e.g., html,php,jsx).');
-        showHelp();
-    }
-    if (config.timeout < 1000) {
-        console.error('❌ Error: Timeout must be at least 1000ms.');
-        showHelp();
-    }
-    if (config.retries < 1 || config.retries > 10) {
-        console.error('❌ Error: Retries must be between 1 and 10.');
-        showHelp();
-    }
-    if (config.watch) {
-        watch(config);
-    } else {
-        extractTailwind(config)
-            .then(() => {
-                if (config.watch) watch(config);
+    const [command] = argv._;
+    if (command === 'restore') {
+        restore({ outputDir: argv.output || 'windrip', run: argv.run, list: argv.list, verbose: argv.verbose })
+            .catch(err => {
+                console.error('❌ Error:', err.message);
+                process.exit(1);
+            });
+    } else if (command === 'serve') {
+        const serveOptions = {
+            input: argv.input || argv._[1],
+            fileExtensions: argv['file-extensions'] ? argv['file-extensions'].split(',').map(ext => ext.trim()) : undefined,
+            serverCommand: argv['server-command'],
+            port: argv.port !== undefined ? parseInt(argv.port) : undefined,
+            proxyPort: argv['proxy-port'] !== undefined ? parseInt(argv['proxy-port']) : undefined,
+            proxyTarget: argv.target,
+            tailwindRuntime: argv['tailwind-runtime'],
+            verbose: argv.verbose || undefined,
+        };
+        Object.keys(serveOptions).forEach(key => serveOptions[key] === undefined && delete serveOptions[key]);
+        serve(serveOptions)
+            .then(({ close }) => {
+                console.log('Press Ctrl+C to stop.\n');
+                process.on('SIGINT', () => {
+                    close();
+                    process.exit(0);
+                });
             })
             .catch(err => {
                 console.error('❌ Error:', err.message);
-                if (config.verbose) console.error('Stack trace:', err.stack);
                 process.exit(1);
             });
+    } else if (command === 'cache') {
+        if (argv._[1] !== 'clear') {
+            console.error('❌ Error: Unknown cache command. Use `windrip cache clear`.');
+            showHelp();
+        }
+        clearCache(argv.output ? { outputDir: argv.output } : {})
+            .catch(err => {
+                console.error('❌ Error:', err.message);
+                process.exit(1);
+            });
+    } else {
+        // `windrip crawl [input]` and `windrip audit [input]` take the same options as a regular build
+        const positional = ['crawl', 'audit'].includes(command) ? argv._.slice(1) : argv._;
+        const config = {
+            input: argv.input || positional[0] || 'src',
+            outputDir: argv.output || 'windrip',
+            watch: argv.watch || false,
+            separateBuilds: argv.separate || true,
+            autoInstall: !argv['no-auto-install'],
+            backupOriginals: !argv['no-backup'],
+            serverCommand: argv['server-command'] || null,
+            fileExtensions: argv['file-extensions']
+                ? argv['file-extensions'].split(',').map(ext => ext.trim())
+                : DEFAULT_CONFIG.fileExtensions,
+            minify: argv.minify || true,
+            minifyJs: argv['minify-js'] || undefined,
+            verbose: argv.verbose || false,
+            dryRun: argv['dry-run'] || false,
+            timeout: parseInt(argv.timeout) || 30000,
+            retries: parseInt(argv.retries) || 3,
+            includeExternal: argv['include-external'] || false,
+            copyAssets: argv['copy-assets'] || undefined,
+            unlinkExternal: argv['unlink-external'] || false,
+            nonDestructive: argv['non-destructive'] || undefined,
+            preflight: argv.preflight === false ? false : undefined,
+            tailwindRuntime: argv['tailwind-runtime'],
+            tailwindRuntimeIntegrity: argv['tailwind-runtime-integrity'],
+            routes: argv.routes ? argv.routes.split(',').map(route => route.trim()) : undefined,
+            safelist: argv.safelist ? argv.safelist.split(',').map(className => className.trim()) : undefined,
+            sharedSafelist: argv['shared-safelist'] || undefined,
+            commonChunk: argv['common-chunk'] || undefined,
+            commonChunkMinPages: argv['common-min-pages'] !== undefined ? parseInt(argv['common-min-pages']) : undefined,
+            force: argv.force || undefined,
+            outputNaming: argv['output-naming'],
+            hashFilenames: argv['hash-filenames'] || undefined,
+            concurrency: argv.concurrency !== undefined ? parseInt(argv.concurrency) : undefined,
+            browserContexts: argv['browser-contexts'] || undefined,
+            port: argv.port !== undefined ? parseInt(argv.port) : undefined,
+            serverReadyPattern: argv['server-ready'],
+            serverReadyTimeout: argv['server-ready-timeout'] !== undefined ? parseInt(argv['server-ready-timeout']) : undefined,
+            watchDebounce: argv.debounce !== undefined ? parseInt(argv.debounce) : undefined,
+            liveReload: argv['live-reload'] === false ? false : undefined,
+            static: argv.static || undefined,
+            liveReloadPort: argv['live-reload-port'] !== undefined ? parseInt(argv['live-reload-port']) : undefined,
+            crawl: command === 'crawl' ? {
+                entry: argv.entry,
+                maxDepth: argv['max-depth'] !== undefined ? parseInt(argv['max-depth']) : undefined,
+                maxPages: argv['max-pages'] !== undefined ? parseInt(argv['max-pages']) : undefined,
+                include: argv.include ? argv.include.split(',').map(pattern => pattern.trim()) : undefined,
+                exclude: argv.exclude ? argv.exclude.split(',').map(pattern => pattern.trim()) : undefined,
+            } : undefined,
+        };
+        // Options not given on the command line fall back to windrip.config.js
+        Object.keys(config).forEach(key => config[key] === undefined && delete config[key]);
+        if (config.crawl) Object.keys(config.crawl).forEach(key => config.crawl[key] === undefined && delete config.crawl[key]);
+
+        if (positional.length > 1) {
+            console.error('❌ Error: Too many positional arguments. Specify one input directory.');
+            showHelp();
+        }
+        if (config.fileExtensions.some(ext => !/^[a-zA-Z0-9]+$/.test(ext))) {
+            console.error('❌ Error: Invalid file extensions. Use alphanumeric extensions (e.g., html,php,jsx).');
+            showHelp();
+        }
+        if (config.timeout < 1000) {
+            console.error('❌ Error: Timeout must be at least 1000ms.');
+            showHelp();
+        }
+        if (config.retries < 1 || config.retries > 10) {
+            console.error('❌ Error: Retries must be between 1 and 10.');
+            showHelp();
+        }
+        if (command === 'audit') {
+            audit(config)
+                .then(report => {
+                    if (argv.json) console.log(JSON.stringify(report, null, 2));
+                    else printAudit(report);
+                    // Lets CI fail on typos before deploy
+                    if (report.summary.unknown > 0) process.exitCode = 1;
+                })
+                .catch(err => {
+                    console.error('❌ Error:', err.message);
+                    process.exit(1);
+                });
+        } else if (config.watch) {
+            watch(config).catch(err => {
+                console.error('❌ Error:', err.message);
+                process.exit(1);
+            });
+        } else {
+            extractTailwind(config)
+                .then(() => {
+                    if (config.watch) watch(config);
+                })
+                .catch(err => {
+                    console.error('❌ Error:', err.message);
+                    if (config.verbose) console.error('Stack trace:', err.stack);
+                    process.exit(1);
+                });
+        }
     }
-}
\ No newline at end of file
+}
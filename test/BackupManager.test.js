@@ -1,5 +1,7 @@
 const { BackupManager } = require('../src/index');
 const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
 
 jest.mock('fs/promises');
 
@@ -53,4 +55,63 @@ describe('BackupManager', () => {
         expect(result).toBe(false);
         expect(fs.writeFile).not.toHaveBeenCalled();
     });
-});
\ No newline at end of file
+
+    test('writes a journal entry when a journal directory is set', async () => {
+        const manager = new BackupManager(true, false, { journalDir: 'windrip/.windrip-backups', runId: 'run-1' });
+        fs.readFile.mockResolvedValue('test content');
+        fs.mkdir.mockResolvedValue();
+        fs.writeFile.mockResolvedValue();
+        await manager.backup('test.php');
+        expect(fs.mkdir).toHaveBeenCalledWith(path.join('windrip/.windrip-backups', 'run-1'), { recursive: true });
+        const entry = JSON.parse(fs.writeFile.mock.calls[0][1]);
+        expect(entry.file).toBe(path.resolve('test.php'));
+        expect(entry.content).toBe('test content');
+        expect(entry.hash).toBe(crypto.createHash('sha256').update('test content').digest('hex'));
+    });
+
+    test('restores all files from a previous run journal', async () => {
+        const manager = new BackupManager(true, false, { journalDir: 'journal' });
+        const entry = {
+            file: '/site/index.php',
+            hash: crypto.createHash('sha256').update('original').digest('hex'),
+            timestamp: '2024-01-01T00:00:00.000Z',
+            content: 'original',
+        };
+        fs.readdir.mockResolvedValue(['abc.json']);
+        fs.readFile.mockResolvedValue(JSON.stringify(entry));
+        fs.writeFile.mockResolvedValue();
+        const count = await manager.restoreAll('run-1');
+        expect(fs.readdir).toHaveBeenCalledWith(path.join('journal', 'run-1'));
+        expect(fs.writeFile).toHaveBeenCalledWith('/site/index.php', 'original');
+        expect(count).toBe(1);
+    });
+
+    test('skips journal entries whose hash does not match', async () => {
+        const manager = new BackupManager(true, false, { journalDir: 'journal' });
+        fs.readdir.mockResolvedValue(['abc.json']);
+        fs.readFile.mockResolvedValue(JSON.stringify({ file: '/site/index.php', hash: 'bad', content: 'original' }));
+        const count = await manager.restoreAll('run-1');
+        expect(count).toBe(0);
+        expect(fs.writeFile).not.toHaveBeenCalled();
+        expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining('Skipping corrupted backup'));
+    });
+
+    test('prunes runs beyond the retention limit but keeps the first', async () => {
+        const manager = new BackupManager(true, false, { journalDir: 'journal', retention: 2 });
+        const dir = name => ({ name, isDirectory: () => true });
+        fs.readdir.mockResolvedValue([dir('run-3'), dir('run-1'), dir('run-4'), dir('run-2')]);
+        fs.rm.mockResolvedValue();
+        await manager.prune();
+        expect(fs.rm).toHaveBeenCalledTimes(1);
+        expect(fs.rm).toHaveBeenCalledWith(path.join('journal', 'run-2'), { recursive: true, force: true });
+    });
+
+    test('keeps the first run through repeated builds', async () => {
+        const manager = new BackupManager(true, false, { journalDir: 'journal', retention: 1 });
+        const dir = name => ({ name, isDirectory: () => true });
+        fs.readdir.mockResolvedValue([dir('run-1'), dir('run-2')]);
+        fs.rm.mockResolvedValue();
+        await manager.prune();
+        expect(fs.rm).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,69 @@
+const { auditClasses, suggestClass } = require('../src/index');
+
+describe('auditClasses', () => {
+    const page = (overrides) => ({
+        page: 'index.html',
+        sourceClasses: ['flex', 'text-gray-500'],
+        domClasses: ['flex', 'text-gray-500'],
+        generatedClasses: ['flex', 'text-gray-500'],
+        ...overrides,
+    });
+
+    test('reports nothing when every class generated CSS', () => {
+        const report = auditClasses([page()]);
+        expect(report.pages[0]).toEqual({ page: 'index.html', unknown: [], runtimeOnly: [], noTailwind: false });
+        expect(report.summary).toEqual({ pages: 1, unknown: 0, runtimeOnly: 0, noTailwind: 0 });
+    });
+
+    test('lists classes that generated no CSS with a suggestion', () => {
+        const report = auditClasses([page({
+            sourceClasses: ['flex', 'text-gry-500', 'card'],
+            domClasses: ['flex', 'text-gry-500', 'card'],
+        })]);
+        expect(report.pages[0].unknown).toEqual([
+            { className: 'card', suggestion: null },
+            { className: 'text-gry-500', suggestion: 'text-gray-500' },
+        ]);
+        expect(report.summary.unknown).toBe(2);
+    });
+
+    test('lists classes only seen at runtime', () => {
+        const report = auditClasses([page({ domClasses: ['flex', 'text-gray-500', 'is-open'] })]);
+        expect(report.pages[0].runtimeOnly).toEqual(['is-open']);
+    });
+
+    test('does not report runtime classes for routes without a source file', () => {
+        const report = auditClasses([page({ page: '/about', sourceClasses: null })]);
+        expect(report.pages[0].runtimeOnly).toEqual([]);
+    });
+
+    test('flags pages where no class generated CSS', () => {
+        const report = auditClasses([page({ sourceClasses: ['card'], domClasses: ['card'], generatedClasses: [] })]);
+        expect(report.pages[0].noTailwind).toBe(true);
+        expect(report.summary.noTailwind).toBe(1);
+    });
+
+    test('skips ignored classes', () => {
+        const report = auditClasses(
+            [page({ sourceClasses: ['flex', 'js-toggle', 'card'], domClasses: ['flex'] })],
+            ['card', /^js-/]
+        );
+        expect(report.pages[0].unknown).toEqual([]);
+    });
+});
+
+describe('suggestClass', () => {
+    test('prefers the closest class generated elsewhere', () => {
+        expect(suggestClass('bg-primry', ['bg-primary', 'bg-secondary'])).toBe('bg-primary');
+    });
+
+    test('corrects misspelled Tailwind words and keeps variants', () => {
+        expect(suggestClass('hover:bg-bleu-500')).toBe('hover:bg-blue-500');
+        expect(suggestClass('itmes-center')).toBe('items-center');
+    });
+
+    test('returns null for custom class names', () => {
+        expect(suggestClass('navbar-brand')).toBeNull();
+        expect(suggestClass('card')).toBeNull();
+    });
+});
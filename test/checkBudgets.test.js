@@ -0,0 +1,58 @@
+const { checkBudgets, parseSize } = require('../src/index');
+
+describe('parseSize', () => {
+    test('parses bytes, kilobytes and megabytes', () => {
+        expect(parseSize(500)).toBe(500);
+        expect(parseSize('500')).toBe(500);
+        expect(parseSize('30kb')).toBe(30 * 1024);
+        expect(parseSize('1.5 MB')).toBe(1.5 * 1024 * 1024);
+    });
+
+    test('rejects unknown units', () => {
+        expect(() => parseSize('30kbs')).toThrow('Invalid size budget "30kbs"');
+        expect(() => parseSize(-1)).toThrow('Invalid size budget');
+    });
+});
+
+describe('checkBudgets', () => {
+    const sizes = new Map([
+        ['common.css', { raw: 4000, minified: 3000, gzip: 900, brotli: 800 }],
+        ['index.php.css', { raw: 2000, minified: 1500, gzip: 500, brotli: 400 }],
+        ['blog/index.php.css', { raw: 9000, minified: 8000, gzip: 2000, brotli: 1800 }],
+        ['index.php.js', { raw: 300, minified: null, gzip: 200, brotli: 150 }],
+    ]);
+    const pageFiles = new Map([
+        ['index.php', ['common.css', 'index.php.css']],
+        ['blog/index.php', ['common.css', 'blog/index.php.css']],
+    ]);
+
+    test('returns nothing when every file fits', () => {
+        expect(checkBudgets(sizes, pageFiles, { 'common.css': '3kb', perPage: '20kb' })).toEqual([]);
+    });
+
+    test('measures minified files as written', () => {
+        expect(checkBudgets(sizes, pageFiles, { 'common.css': 2999 })).toEqual([
+            { target: 'common.css', size: 3000, budget: 2999 },
+        ]);
+    });
+
+    test('matches file name patterns', () => {
+        expect(checkBudgets(sizes, pageFiles, { 'blog/*.css': '5kb', '*.js': 250 })).toEqual([
+            { target: 'blog/index.php.css', size: 8000, budget: 5120 },
+            { target: 'index.php.js', size: 300, budget: 250 },
+        ]);
+    });
+
+    test('adds up the CSS each page links for perPage', () => {
+        expect(checkBudgets(sizes, pageFiles, { perPage: '10kb' })).toEqual([
+            { target: 'blog/index.php', size: 11000, budget: 10240 },
+        ]);
+    });
+
+    test('measures compressed sizes', () => {
+        expect(checkBudgets(sizes, pageFiles, { perPage: 2500 }, 'gzip')).toEqual([
+            { target: 'blog/index.php', size: 2900, budget: 2500 },
+        ]);
+        expect(checkBudgets(sizes, pageFiles, { perPage: 2600 }, 'brotli')).toEqual([]);
+    });
+});
@@ -0,0 +1,108 @@
+const { collectScripts, sharedScripts, bundleScripts } = require('../src/index');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+describe('collectScripts', () => {
+    let input;
+    const options = () => ({
+        tailwindCdn: 'https://cdn.tailwindcss.com',
+        file: path.join(input, 'blog', 'index.html'),
+        input,
+        outputDir: path.join(input, 'windrip'),
+        pageUrl: null,
+    });
+
+    beforeEach(async () => {
+        input = await fs.mkdtemp(path.join(os.tmpdir(), 'windrip-scripts-'));
+        await fs.mkdir(path.join(input, 'js'));
+        await fs.mkdir(path.join(input, 'blog'));
+        await fs.writeFile(path.join(input, 'js', 'app.js'), 'window.app = 1;\n');
+        await fs.writeFile(path.join(input, 'blog', 'menu.js'), 'window.menu = 1;\n');
+    });
+
+    afterEach(async () => {
+        await fs.rm(input, { recursive: true, force: true });
+    });
+
+    test('inlines local and inline scripts in document order', async () => {
+        const html = '<script src="/js/app.js?v=2"></script><script>window.inline = 1;</script><script src="menu.js" defer></script>';
+        const scripts = await collectScripts(html, options());
+        expect(scripts).toEqual([
+            { tag: '<script src="/js/app.js?v=2"></script>', label: '/js/app.js?v=2', code: 'window.app = 1;' },
+            { tag: '<script>window.inline = 1;</script>', label: 'inline script', code: 'window.inline = 1;' },
+            { tag: '<script src="menu.js" defer></script>', label: 'menu.js', code: 'window.menu = 1;' },
+        ]);
+    });
+
+    test('leaves third-party, module, async and non-JavaScript scripts alone', async () => {
+        const html = [
+            '<script src="https://cdn.tailwindcss.com"></script>',
+            '<script>tailwind.config = {}</script>',
+            '<script src="https://unpkg.com/alpinejs" defer></script>',
+            '<script type="module" src="/js/app.js"></script>',
+            '<script async src="/js/app.js"></script>',
+            '<script type="application/ld+json">{}</script>',
+            '<script>var token = "<?= $token ?>";</script>',
+        ].join('');
+        expect(await collectScripts(html, options())).toEqual([]);
+    });
+
+    test('keeps scripts before a classic script that stays in place', async () => {
+        const withServerCode = '<script src="/js/app.js"></script><script>$(init("<?= $id ?>"));</script><script src="menu.js"></script>';
+        expect((await collectScripts(withServerCode, options())).map(script => script.label)).toEqual(['menu.js']);
+        const withPlugin = '<script src="/js/app.js"></script><script src="https://unpkg.com/plugin.js"></script><script>window.inline = 1;</script>';
+        expect((await collectScripts(withPlugin, options())).map(script => script.label)).toEqual(['inline script']);
+    });
+
+    test('bundles around scripts that do not block it', async () => {
+        const html = [
+            '<script src="/js/app.js"></script>',
+            '<script type="module" src="/js/app.js"></script>',
+            '<script async src="https://example.com/analytics.js"></script>',
+            '<script src="../windrip/build.js"></script>',
+            '<script src="menu.js"></script>',
+        ].join('');
+        expect((await collectScripts(html, options())).map(script => script.label)).toEqual(['/js/app.js', 'menu.js']);
+    });
+
+    test('reads scripts commented out by an earlier bundle', async () => {
+        const html = '<!-- windrip:bundled <script src="/js/app.js"></script> --><script src="../windrip/build.js" defer data-windrip-bundle></script>';
+        const scripts = await collectScripts(html, options());
+        expect(scripts.map(script => script.label)).toEqual(['/js/app.js']);
+    });
+
+    test('keeps missing local scripts linked', async () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => { });
+        expect(await collectScripts('<script src="/js/missing.js"></script>', options())).toEqual([]);
+        warn.mockRestore();
+    });
+});
+
+describe('sharedScripts', () => {
+    const script = name => ({ tag: `<script src="${name}"></script>`, label: name, code: `window.${name.replace(/\W/g, '')} = 1;` });
+    const [jquery, menu, contact, inline] = ['jquery.js', 'menu.js', 'contact.js', 'inline'].map(script);
+
+    test('bundles the scripts every page includes', () => {
+        expect(sharedScripts([[jquery, menu], [jquery, menu]])).toEqual([jquery, menu]);
+    });
+
+    test('keeps page-specific scripts, and the scripts before them, out of the bundle', () => {
+        expect(sharedScripts([[jquery, menu, inline], [jquery, menu]])).toEqual([]);
+        expect(sharedScripts([[contact, jquery, menu], [jquery, menu]])).toEqual([jquery, menu]);
+    });
+
+    test('treats scripts the bundle cannot replace as staying in place', () => {
+        expect(sharedScripts([[jquery, menu]], candidate => candidate !== menu)).toEqual([]);
+        expect(sharedScripts([[jquery, menu]], candidate => candidate !== jquery)).toEqual([menu]);
+    });
+});
+
+describe('bundleScripts', () => {
+    test('separates scripts so they cannot run into each other', () => {
+        expect(bundleScripts([
+            { label: 'js/a.js', code: 'const a = 1' },
+            { label: 'inline script', code: '(function () {})()' },
+        ])).toBe('// js/a.js\nconst a = 1\n;\n// inline script\n(function () {})()');
+    });
+});
@@ -0,0 +1,83 @@
+const { loadStaticCompiler, compileStatic, flattenCssRules } = require('../src/index');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const postcss = require('postcss');
+
+describe('flattenCssRules', () => {
+    test('keeps grouping at-rule preludes and other at-rules whole', () => {
+        const root = postcss.parse(`
+            .p-4 { padding: 1rem; }
+            @media (min-width: 768px) {
+                @supports (display: grid) { .md\\:grid { display: grid; } }
+                .md\\:flex { display: flex; }
+            }
+            @keyframes spin { to { transform: rotate(360deg); } }
+            @font-face { font-family: Inter; }
+        `);
+        expect(flattenCssRules(root)).toEqual([
+            { at: [], css: '.p-4 { padding: 1rem; }' },
+            { at: ['@media (min-width: 768px)', '@supports (display: grid)'], css: '.md\\:grid { display: grid; }' },
+            { at: ['@media (min-width: 768px)'], css: '.md\\:flex { display: flex; }' },
+            { at: [], css: '@keyframes spin { to { transform: rotate(360deg); } }' },
+            { at: [], css: '@font-face { font-family: Inter; }' },
+        ]);
+    });
+});
+
+describe('loadStaticCompiler', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('loads the project compiler', () => {
+        const compiler = loadStaticCompiler(false);
+        expect(compiler.runtime.version).toMatch(/^3\./);
+        expect(typeof compiler.tailwindcss).toBe('function');
+    });
+
+    test('falls back to the browser for routes', () => {
+        expect(loadStaticCompiler(true)).toBeNull();
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('rendered in the browser'));
+    });
+
+    test('falls back to the browser without tailwindcss installed', async () => {
+        const project = await fs.mkdtemp(path.join(os.tmpdir(), 'windrip-static-'));
+        jest.spyOn(process, 'cwd').mockReturnValue(project);
+        expect(loadStaticCompiler(false)).toBeNull();
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Falling back to the browser'));
+        await fs.rm(project, { recursive: true, force: true });
+    });
+});
+
+describe('compileStatic', () => {
+    const config = { configFile: 'missing.config.js', safelist: ['underline'], preflight: false };
+
+    test('compiles the classes found in the source and the safelist', async () => {
+        const { rules, domClasses, links } = await compileStatic(loadStaticCompiler(false), new Set(['p-4', 'md:flex']), config);
+        const css = rules.map(rule => rule.css).join('\n');
+        expect(css).toContain('.p-4');
+        expect(css).toContain('.underline');
+        expect(css).not.toContain('h1');
+        expect(rules).toContainEqual({ at: ['@media (min-width: 768px)'], css: '.md\\:flex {\n        display: flex\n    }' });
+        expect(domClasses.size).toBe(0);
+        expect(links).toEqual([]);
+    });
+
+    test('generates bare regular expressions in the safelist', async () => {
+        const { rules } = await compileStatic(loadStaticCompiler(false), new Set(), { ...config, safelist: [/^bg-(red|green)-500$/] });
+        const css = rules.map(rule => rule.css).join('\n');
+        expect(css).toContain('.bg-red-500');
+        expect(css).toContain('.bg-green-500');
+    });
+
+    test('uses the inline Tailwind config without a config file', async () => {
+        const tailwindConfig = JSON.stringify({ theme: { extend: { colors: { brand: '#123456' } } } });
+        const { rules } = await compileStatic(loadStaticCompiler(false), new Set(['text-brand']), { ...config, tailwindConfig });
+        expect(rules.map(rule => rule.css).join('\n')).toContain('rgb(18 52 86');
+    });
+});
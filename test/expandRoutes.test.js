@@ -0,0 +1,36 @@
+const { expandRoutes } = require('../src/index');
+
+describe('expandRoutes', () => {
+    test('resolves paths against the local server and derives output names', () => {
+        const pages = expandRoutes(['/', '/about', '/blog/latest/'], 7890);
+        expect(pages).toEqual([
+            { url: 'http://localhost:7890/', name: 'index', template: null },
+            { url: 'http://localhost:7890/about', name: 'about', template: null },
+            { url: 'http://localhost:7890/blog/latest/', name: 'blog-latest', template: null },
+        ]);
+    });
+
+    test('keeps absolute URLs and explicit names and templates', () => {
+        const pages = expandRoutes([
+            { url: 'http://127.0.0.1:8000/', name: 'home', template: 'resources/views/layouts/app.blade.php' },
+        ], 7890);
+        expect(pages).toEqual([
+            { url: 'http://127.0.0.1:8000/', name: 'home', template: 'resources/views/layouts/app.blade.php' },
+        ]);
+    });
+
+    test('expands path patterns against every parameter combination', () => {
+        const pages = expandRoutes([
+            { path: '/:lang/blog/:slug', params: { lang: ['en', 'fr'], slug: ['hello world'] }, name: 'blog' },
+        ], 7890);
+        expect(pages.map(page => page.url)).toEqual([
+            'http://localhost:7890/en/blog/hello%20world',
+            'http://localhost:7890/fr/blog/hello%20world',
+        ]);
+        expect(pages.every(page => page.name === 'blog')).toBe(true);
+    });
+
+    test('throws when a pattern parameter has no values', () => {
+        expect(() => expandRoutes(['/posts/:id'], 7890)).toThrow('no values for parameter :id');
+    });
+});
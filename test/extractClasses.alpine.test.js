@@ -0,0 +1,27 @@
+const { extractClasses } = require('../src/index');
+
+describe('extractClasses (Alpine.js)', () => {
+    test('extracts object keys from x-bind:class', () => {
+        const content = '<div x-bind:class="{ \'bg-red-500 text-white\': error, hidden: !open }"></div>';
+        const classes = extractClasses(content, 'html');
+        ['bg-red-500', 'text-white', 'hidden'].forEach(cls => expect(classes.has(cls)).toBe(true));
+    });
+
+    test('extracts array items and ternary branches from :class', () => {
+        const content = `<button :class="['px-4 py-2', open ? 'block' : 'hidden', size === 'lg' && 'text-lg']"></button>`;
+        const classes = extractClasses(content, 'html');
+        ['px-4', 'py-2', 'block', 'hidden', 'text-lg'].forEach(cls => expect(classes.has(cls)).toBe(true));
+        expect(classes.has('open')).toBe(false);
+    });
+
+    test('handles single-quoted attributes', () => {
+        const content = `<div :class='{ "opacity-50": disabled }'></div>`;
+        expect(extractClasses(content, 'php').has('opacity-50')).toBe(true);
+    });
+
+    test('only runs for template extensions', () => {
+        const content = `<div :class="['px-9']"></div>`;
+        expect(extractClasses(content, 'html').has('px-9')).toBe(true);
+        expect(extractClasses(content, 'md').has('px-9')).toBe(false);
+    });
+});
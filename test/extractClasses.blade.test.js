@@ -0,0 +1,34 @@
+const { extractClasses } = require('../src/index');
+
+describe('extractClasses (Blade)', () => {
+    test('extracts classes from @class arrays, keys and values alike', () => {
+        const content = `<span @class([
+            'p-4 rounded',
+            'font-bold' => $isActive,
+            'text-gray-500' => ! $isActive,
+            'bg-red-500' => $hasError,
+        ])></span>`;
+        const classes = extractClasses(content, 'php');
+        ['p-4', 'rounded', 'font-bold', 'text-gray-500', 'bg-red-500'].forEach(cls => {
+            expect(classes.has(cls)).toBe(true);
+        });
+    });
+
+    test('extracts classes from $attributes->class()', () => {
+        const content = '<div {{ $attributes->class([\'flex items-center\', \'gap-2\' => $compact]) }}></div>';
+        const classes = extractClasses(content, 'php');
+        expect([...classes].sort()).toEqual(['flex', 'gap-2', 'items-center']);
+    });
+
+    test('ignores PHP variables and nested calls', () => {
+        const content = "@class(['mt-' . $size => $size, 'hidden' => in_array($x, ['a'])])";
+        const classes = extractClasses(content, 'php');
+        expect(classes.has('hidden')).toBe(true);
+        expect(classes.has('$size')).toBe(false);
+    });
+
+    test('only runs for PHP files', () => {
+        const content = "@class(['font-bold'])";
+        expect(extractClasses(content, 'html').has('font-bold')).toBe(false);
+    });
+});
@@ -0,0 +1,30 @@
+const { extractClasses } = require('../src/index');
+
+describe('extractClasses (clsx, cn, classnames)', () => {
+    test('extracts strings, conditionals, arrays and object keys from clsx()', () => {
+        const content = `<div className={clsx('flex', isOpen && 'bg-white', ['p-2', 'm-1'], { 'text-red-500': error, hidden: !visible })} />`;
+        const classes = extractClasses(content, 'jsx');
+        ['flex', 'bg-white', 'p-2', 'm-1', 'text-red-500', 'hidden'].forEach(cls => expect(classes.has(cls)).toBe(true));
+    });
+
+    test('extracts from cn() and classnames() with nested calls', () => {
+        const content = `
+            const button = cn('rounded-md px-3', variant === 'ghost' ? 'bg-transparent' : getVariant(variant), className);
+            const card = classnames('shadow', { 'ring-2': selected });
+        `;
+        const classes = extractClasses(content, 'tsx');
+        ['rounded-md', 'px-3', 'bg-transparent', 'shadow', 'ring-2'].forEach(cls => expect(classes.has(cls)).toBe(true));
+    });
+
+    test('keeps static parts of template literals', () => {
+        const content = 'cn(`grid gap-${gap} md:grid-cols-3`)';
+        const classes = extractClasses(content, 'jsx');
+        ['grid', 'md:grid-cols-3'].forEach(cls => expect(classes.has(cls)).toBe(true));
+    });
+
+    test('keeps arbitrary values and fractions', () => {
+        const content = "clsx('w-1/2', 'bg-[#1da1f2]', '-mt-4')";
+        const classes = extractClasses(content, 'js');
+        ['w-1/2', 'bg-[#1da1f2]', '-mt-4'].forEach(cls => expect(classes.has(cls)).toBe(true));
+    });
+});
@@ -0,0 +1,19 @@
+const { extractClasses } = require('../src/index');
+
+describe('extractClasses (Twig)', () => {
+    test('extracts strings and hash keys from html_classes()', () => {
+        const content = "<a class=\"{{ html_classes('link', { 'font-bold underline': active, disabled: not enabled }) }}\">x</a>";
+        const classes = extractClasses(content, 'twig');
+        ['link', 'font-bold', 'underline', 'disabled'].forEach(cls => expect(classes.has(cls)).toBe(true));
+        expect(classes.has('enabled')).toBe(false);
+    });
+
+    test('handles multi-line calls', () => {
+        const content = `{{ html_classes(
+            'grid gap-4',
+            { 'md:grid-cols-2': columns == 2 }
+        ) }}`;
+        const classes = extractClasses(content, 'twig');
+        ['grid', 'gap-4', 'md:grid-cols-2'].forEach(cls => expect(classes.has(cls)).toBe(true));
+    });
+});
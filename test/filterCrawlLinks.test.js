@@ -0,0 +1,53 @@
+const { filterCrawlLinks, matchesPattern } = require('../src/index');
+
+describe('filterCrawlLinks', () => {
+    const crawl = { include: [], exclude: [] };
+
+    test('keeps new same-origin pages and drops fragments', () => {
+        const seen = new Set(['http://localhost:7890/']);
+        const links = filterCrawlLinks([
+            'http://localhost:7890/#top',
+            'http://localhost:7890/about#team',
+            'http://localhost:7890/about',
+            'https://example.com/',
+            'mailto:hello@example.com',
+        ], 'http://localhost:7890/', crawl, seen);
+        expect(links).toEqual(['http://localhost:7890/about']);
+        expect(seen.has('http://localhost:7890/about')).toBe(true);
+    });
+
+    test('skips links to assets', () => {
+        const links = filterCrawlLinks([
+            'http://localhost:7890/logo.png',
+            'http://localhost:7890/files/guide.pdf',
+            'http://localhost:7890/products?page=2',
+        ], 'http://localhost:7890/', crawl, new Set());
+        expect(links).toEqual(['http://localhost:7890/products?page=2']);
+    });
+
+    test('applies include and exclude patterns', () => {
+        const links = filterCrawlLinks([
+            'http://localhost:7890/blog/hello',
+            'http://localhost:7890/blog/drafts/secret',
+            'http://localhost:7890/admin',
+        ], 'http://localhost:7890/', { include: ['/blog/**'], exclude: [/drafts/] }, new Set());
+        expect(links).toEqual(['http://localhost:7890/blog/hello']);
+    });
+});
+
+describe('matchesPattern', () => {
+    test('matches single and double wildcards', () => {
+        expect(matchesPattern('/blog/hello', '/blog/*')).toBe(true);
+        expect(matchesPattern('/blog/2024/hello', '/blog/*')).toBe(false);
+        expect(matchesPattern('/blog/2024/hello', '/blog/**')).toBe(true);
+    });
+
+    test('treats other characters literally', () => {
+        expect(matchesPattern('/index.php', '/index.php')).toBe(true);
+        expect(matchesPattern('/index-php', '/index.php')).toBe(false);
+    });
+
+    test('accepts regular expressions', () => {
+        expect(matchesPattern('/products?page=2', /page=\d+/)).toBe(true);
+    });
+});
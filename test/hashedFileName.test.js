@@ -0,0 +1,15 @@
+const { hashedFileName } = require('../src/index');
+
+describe('hashedFileName', () => {
+    const hash = '1a2b3c4d5e6f7a8b9c0d';
+
+    test('inserts the first 8 hash characters before the extension', () => {
+        expect(hashedFileName('build.css', hash)).toBe('build.1a2b3c4d.css');
+        expect(hashedFileName('build.js', hash)).toBe('build.1a2b3c4d.js');
+    });
+
+    test('keeps directories and earlier dots in per-page names', () => {
+        expect(hashedFileName('blog/index.php.css', hash)).toBe('blog/index.php.1a2b3c4d.css');
+        expect(hashedFileName('blog~index.php.js', hash)).toBe('blog~index.php.1a2b3c4d.js');
+    });
+});
@@ -0,0 +1,26 @@
+const { injectTailwindCdn } = require('../src/index');
+
+describe('injectTailwindCdn', () => {
+    const cdn = 'https://cdn.tailwindcss.com';
+
+    test('injects the CDN and fallback config before </head>', () => {
+        const content = injectTailwindCdn('<html><head></head><body></body></html>', cdn, 'missing.config.js', '{"theme":{}}');
+        expect(content).toBe(
+            `<html><head><script src="${cdn}"></script><script>tailwind.config = {"theme":{}}</script></head><body></body></html>`
+        );
+    });
+
+    test('merges the safelist into the Tailwind config, keeping patterns as literals', () => {
+        const content = injectTailwindCdn('<head></head>', cdn, 'missing.config.js', '{}', [
+            'text-center',
+            { pattern: /^bg-(red|green)-500$/, variants: ['hover'] },
+        ]);
+        expect(content).toContain('.concat(["text-center", { "pattern": /^bg-(red|green)-500$/, "variants": ["hover"] }])');
+        expect(content.indexOf('safelist')).toBeGreaterThan(content.indexOf('tailwind.config = {}'));
+    });
+
+    test('wraps bare regular expressions as patterns', () => {
+        const content = injectTailwindCdn('<head></head>', cdn, 'missing.config.js', '{}', [/^bg-(red|green)-500$/]);
+        expect(content).toContain('.concat([{ "pattern": /^bg-(red|green)-500$/ }])');
+    });
+});
@@ -0,0 +1,108 @@
+const { loadTailwindRuntime } = require('../src/index');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+describe('loadTailwindRuntime', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'windrip-runtime-'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('reads the version of a pinned runtime from its banner', async () => {
+        const file = path.join(dir, 'tailwind.js');
+        fs.writeFileSync(file, '/*! tailwindcss v3.4.16 | MIT License */');
+        const runtime = await loadTailwindRuntime({ tailwindRuntime: file });
+        expect(runtime).toEqual({
+            source: file,
+            version: '3.4.16',
+            sha256: sha256('/*! tailwindcss v3.4.16 | MIT License */'),
+            content: Buffer.from('/*! tailwindcss v3.4.16 | MIT License */'),
+        });
+    });
+
+    test('falls back to the version in the file name', async () => {
+        const file = path.join(dir, 'tailwind-3.4.1.js');
+        fs.writeFileSync(file, '(() => {})();');
+        expect((await loadTailwindRuntime({ tailwindRuntime: file })).version).toBe('3.4.1');
+    });
+
+    test('records no version when neither names one', async () => {
+        const file = path.join(dir, 'tailwind.js');
+        fs.writeFileSync(file, '(() => {})();');
+        expect((await loadTailwindRuntime({ tailwindRuntime: file })).version).toBeNull();
+    });
+
+    test('fails on a missing pinned runtime', async () => {
+        await expect(loadTailwindRuntime({ tailwindRuntime: path.join(dir, 'missing.js') }))
+            .rejects.toThrow('Failed to read Tailwind runtime');
+    });
+
+    test('accepts a pinned runtime matching its integrity', async () => {
+        const file = path.join(dir, 'tailwind-3.4.1.js');
+        fs.writeFileSync(file, '(() => {})();');
+        const runtime = await loadTailwindRuntime({ tailwindRuntime: file, tailwindRuntimeIntegrity: sha256('(() => {})();') });
+        expect(runtime.sha256).toBe(sha256('(() => {})();'));
+    });
+
+    test('fails when the checksum differs from the integrity', async () => {
+        const file = path.join(dir, 'tailwind-3.4.1.js');
+        fs.writeFileSync(file, '(() => {})();');
+        await expect(loadTailwindRuntime({ tailwindRuntime: file, tailwindRuntimeIntegrity: sha256('other') }))
+            .rejects.toThrow(`Tailwind runtime checksum mismatch for ${file}: expected ${sha256('other')}, got ${sha256('(() => {})();')}`);
+    });
+
+    describe('downloading', () => {
+        let server;
+        let origin;
+        const pending = [];
+
+        beforeAll(async () => {
+            server = http.createServer((req, res) => {
+                if (req.url === '/hang') {
+                    pending.push(res);
+                    return;
+                }
+                res.end('/*! tailwindcss v3.4.2 */');
+            });
+            await new Promise(resolve => server.listen(0, resolve));
+            origin = `http://localhost:${server.address().port}`;
+        });
+
+        afterAll(() => {
+            pending.forEach(res => res.destroy());
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        });
+
+        test('records the downloaded runtime', async () => {
+            const runtime = await loadTailwindRuntime({ tailwindCdn: `${origin}/3.4.2` });
+            expect(runtime.source).toBe(`${origin}/3.4.2`);
+            expect(runtime.version).toBe('3.4.2');
+            expect(runtime.sha256).toBe(sha256('/*! tailwindcss v3.4.2 */'));
+        });
+
+        test('gives up after the timeout and lets pages load the CDN', async () => {
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => { });
+            const runtime = await loadTailwindRuntime({ tailwindCdn: `${origin}/hang`, timeout: 200 });
+            expect(runtime).toEqual({ source: `${origin}/hang`, version: null, sha256: null, content: null });
+            expect(warn.mock.calls[0][0]).toContain('timed out after 200ms');
+        });
+
+        test('fails with a hint to pin the runtime when the integrity is set', async () => {
+            await expect(loadTailwindRuntime({ tailwindCdn: `${origin}/hang`, timeout: 200, tailwindRuntimeIntegrity: sha256('x') }))
+                .rejects.toThrow(`Failed to download Tailwind runtime from ${origin}/hang: timed out after 200ms. ` +
+                    'Pin a local runtime with tailwindRuntime (--tailwind-runtime) to build offline.');
+        });
+    });
+});
@@ -0,0 +1,43 @@
+const { matchesSafelist, selectorClasses } = require('../src/index');
+
+describe('matchesSafelist', () => {
+    const safelist = [
+        'text-center',
+        { pattern: /^bg-(red|green)-500$/ },
+        { pattern: /^p-\d+$/, variants: ['md', 'lg:hover'] },
+        /^m-\d+$/,
+    ];
+
+    test('matches literal classes exactly', () => {
+        expect(matchesSafelist('text-center', safelist)).toBe(true);
+        expect(matchesSafelist('md:text-center', safelist)).toBe(false);
+    });
+
+    test('matches patterns against the class without variants', () => {
+        expect(matchesSafelist('bg-red-500', safelist)).toBe(true);
+        expect(matchesSafelist('md:p-4', safelist)).toBe(true);
+        expect(matchesSafelist('lg:hover:p-2', safelist)).toBe(true);
+        expect(matchesSafelist('bg-blue-500', safelist)).toBe(false);
+    });
+
+    test('only matches the variants an entry generates', () => {
+        expect(matchesSafelist('hover:bg-green-500', safelist)).toBe(false);
+        expect(matchesSafelist('hover:p-4', safelist)).toBe(false);
+    });
+
+    test('treats a bare regular expression as a pattern without variants', () => {
+        expect(matchesSafelist('m-4', safelist)).toBe(true);
+        expect(matchesSafelist('md:m-4', safelist)).toBe(false);
+    });
+});
+
+describe('selectorClasses', () => {
+    test('returns unescaped classes from a rule selector', () => {
+        expect(selectorClasses('.md\\:w-1\\/2:hover > .p-0\\.5 { width: 50%; }')).toEqual(['md:w-1/2', 'p-0.5']);
+    });
+
+    test('ignores declarations and at-rules', () => {
+        expect(selectorClasses('*, ::before { --tw-ring-offset-width: 0.5rem; }')).toEqual([]);
+        expect(selectorClasses('@keyframes spin { to { transform: rotate(360deg); } }')).toEqual([]);
+    });
+});
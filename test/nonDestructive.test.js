@@ -0,0 +1,179 @@
+const { extractTailwind, interceptRequests } = require('../src/index');
+const puppeteer = require('puppeteer');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+jest.mock('puppeteer');
+
+const TAILWIND_CDN = 'https://cdn.tailwindcss.com';
+const PAGE = '<html><head></head><body><div class="p-4"></div></body></html>';
+const SERVER = `
+require('http').createServer((req, res) => res.end('ok')).listen(Number(process.argv[2]), () => console.log('listening'));
+`;
+
+// A stand-in for a Puppeteer request; `handled` records how interception resolved it
+const fakeRequest = (url, { method = 'GET', frame = 'main', navigation = true } = {}) => {
+    const request = {
+        handled: null,
+        url: () => url,
+        method: () => method,
+        headers: () => ({}),
+        postData: () => (method === 'GET' ? undefined : 'name=value'),
+        isNavigationRequest: () => navigation,
+        frame: () => frame,
+        isInterceptResolutionHandled: () => request.handled !== null,
+        respond: async response => {
+            request.handled = { respond: response };
+        },
+        continue: async () => {
+            request.handled = { continue: true };
+        },
+    };
+    return request;
+};
+
+describe('interceptRequests', () => {
+    let server;
+    let origin;
+    let hits;
+    let onRequest;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            hits.push(`${req.method} ${req.url}`);
+            if (req.url === '/moved') {
+                res.writeHead(302, { location: '/' });
+                res.end();
+            } else {
+                res.writeHead(200, { 'content-type': 'text/html' });
+                res.end(PAGE);
+            }
+        });
+        await new Promise(resolve => server.listen(0, resolve));
+        origin = `http://localhost:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(async () => {
+        hits = [];
+        const page = {
+            setRequestInterception: jest.fn(),
+            on: (event, handler) => {
+                onRequest = handler;
+            },
+            mainFrame: () => 'main',
+        };
+        await interceptRequests(page, {
+            tailwindCdn: TAILWIND_CDN,
+            injectCdn: true,
+            configFile: path.join(os.tmpdir(), 'missing-tailwind.config.js'),
+            tailwindConfig: '{}',
+            runtime: { content: '/*! tailwindcss v3.4.0 */' },
+            verbose: false,
+        });
+    });
+
+    test('injects the CDN into the main document', async () => {
+        const request = fakeRequest(`${origin}/`);
+        await onRequest(request);
+        expect(request.handled.respond.status).toBe(200);
+        expect(request.handled.respond.body).toContain(`<script src="${TAILWIND_CDN}"></script>`);
+        expect(hits).toEqual(['GET /']);
+    });
+
+    test('answers redirects as fetched without sending the request again', async () => {
+        const request = fakeRequest(`${origin}/moved`);
+        await onRequest(request);
+        expect(request.handled.respond.status).toBe(302);
+        expect(request.handled.respond.headers.location).toBe('/');
+        expect(hits).toEqual(['GET /moved']);
+    });
+
+    test('lets non-GET navigations through untouched', async () => {
+        const request = fakeRequest(`${origin}/form`, { method: 'POST' });
+        await onRequest(request);
+        expect(request.handled).toEqual({ continue: true });
+        expect(hits).toEqual([]);
+    });
+
+    test('lets subresources and frames through untouched', async () => {
+        const subresource = fakeRequest(`${origin}/app.css`, { navigation: false });
+        const frame = fakeRequest(`${origin}/frame.html`, { frame: 'child' });
+        await onRequest(subresource);
+        await onRequest(frame);
+        expect(subresource.handled).toEqual({ continue: true });
+        expect(frame.handled).toEqual({ continue: true });
+        expect(hits).toEqual([]);
+    });
+
+    test('answers the CDN URL with the pinned runtime', async () => {
+        const request = fakeRequest(TAILWIND_CDN, { navigation: false });
+        await onRequest(request);
+        expect(request.handled.respond.body).toBe('/*! tailwindcss v3.4.0 */');
+        expect(hits).toEqual([]);
+    });
+});
+
+describe('extractTailwind with nonDestructive', () => {
+    let input;
+    let rendered;
+    let page;
+
+    beforeEach(() => {
+        input = fs.mkdtempSync(path.join(os.tmpdir(), 'windrip-non-destructive-'));
+        fs.writeFileSync(path.join(input, 'index.html'), PAGE);
+        fs.writeFileSync(path.join(input, 'server.js'), SERVER);
+        fs.writeFileSync(path.join(input, 'tailwind-3.4.0.js'), '/*! tailwindcss v3.4.0 */');
+        rendered = [];
+        page = {
+            setDefaultNavigationTimeout: async () => { },
+            setRequestInterception: jest.fn(),
+            on: () => { },
+            mainFrame: () => 'main',
+            // Record what the source looked like while the browser rendered it
+            goto: async () => {
+                rendered.push(fs.readFileSync(path.join(input, 'index.html'), 'utf-8'));
+                return { text: async () => PAGE };
+            },
+            waitForSelector: async () => { },
+            waitForFunction: async () => { },
+            evaluate: async () => ({
+                rules: [{ at: [], css: '.p-4 { padding: 1rem; }' }],
+                classes: ['p-4'],
+                links: [],
+                stylesheets: [],
+            }),
+            close: async () => { },
+        };
+        puppeteer.launch.mockResolvedValue({ newPage: async () => page, close: async () => { } });
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(input, { recursive: true, force: true });
+    });
+
+    test('renders through interception and never writes the CDN into the source', async () => {
+        await extractTailwind({
+            input,
+            outputDir: path.join(input, 'windrip'),
+            configFile: path.join(input, 'tailwind.config.js'),
+            fileExtensions: ['html', 'php'],
+            tailwindRuntime: path.join(input, 'tailwind-3.4.0.js'),
+            serverCommand: 'node server.js {port}',
+            serverReadyPattern: 'listening',
+            nonDestructive: true,
+            autoInstall: false,
+            backupOriginals: false,
+        });
+        expect(page.setRequestInterception).toHaveBeenCalledWith(true);
+        expect(rendered).toEqual([PAGE]);
+        expect(fs.readFileSync(path.join(input, 'index.html'), 'utf-8')).not.toContain(TAILWIND_CDN);
+        expect(fs.readFileSync(path.join(input, 'windrip', 'index.html.css'), 'utf-8')).toContain('.p-4');
+    });
+});
@@ -0,0 +1,60 @@
+const { orderRules, mergeRules } = require('../src/index');
+
+describe('orderRules', () => {
+    const preflight = { at: [], css: 'h1 { font-size: inherit; }' };
+    const variables = { at: [], css: '*, ::before, ::after { --tw-ring-offset-width: 0px; }' };
+    const keyframes = { at: [], css: '@keyframes spin { to { transform: rotate(360deg); } }' };
+    const container = { at: [], css: '.container { width: 100%; }' };
+    const padding = { at: [], css: '.p-4 { padding: 1rem; }' };
+    const paddingX = { at: [], css: '.px-2 { padding-left: 0.5rem; padding-right: 0.5rem; }' };
+    const hover = { at: [], css: '.hover\\:underline:hover { text-decoration-line: underline; }' };
+    const md = { at: ['@media (min-width: 768px)'], css: '.md\\:flex { display: flex; }' };
+    const sm = { at: ['@media (min-width: 640px)'], css: '.sm\\:block { display: block; }' };
+    const lg = { at: ['@media (min-width: 64rem)'], css: '.lg\\:grid { display: grid; }' };
+    const dark = { at: ['@media (prefers-color-scheme: dark)'], css: '.dark\\:bg-black { background-color: #000; }' };
+
+    test('orders rules by layer and variant', () => {
+        const ordered = orderRules([dark, lg, hover, padding, md, keyframes, container, sm, variables, preflight, paddingX]);
+        expect(ordered).toEqual([
+            variables, preflight, keyframes, container, padding, paddingX, hover, sm, md, lg, dark,
+        ]);
+    });
+
+    test('places max-* screens before screens, from the widest', () => {
+        const maxLg = { at: ['@media not all and (min-width: 1024px)'], css: '.max-lg\\:block { display: block; }' };
+        const maxMd = { at: ['@media not all and (min-width: 768px)'], css: '.max-md\\:hidden { display: none; }' };
+        const maxWidth = { at: ['@media (max-width: 600px)'], css: '.max-\\[600px\\]\\:flex { display: flex; }' };
+        expect(orderRules([md, maxWidth, maxMd, maxLg])).toEqual([maxLg, maxMd, maxWidth, md]);
+    });
+
+    test('follows Tailwind\'s order for other conditions', () => {
+        const motionSafe = { at: ['@media (prefers-reduced-motion: no-preference)'], css: '.motion-safe\\:animate-spin { animation: spin 1s linear infinite; }' };
+        const print = { at: ['@media print'], css: '.print\\:hidden { display: none; }' };
+        const supports = { at: ['@supports (display: grid)'], css: '.supports-\\[display\\:grid\\]\\:grid { display: grid; }' };
+        const landscape = { at: ['@media (orientation: landscape)'], css: '.landscape\\:flex { display: flex; }' };
+        expect(orderRules([landscape, md, supports, print, dark, motionSafe])).toEqual([supports, motionSafe, md, landscape, dark, print]);
+    });
+
+    test('ranks nested conditions by the variant Tailwind places last', () => {
+        const mdMotion = { at: ['@media (min-width: 768px)', '@media (prefers-reduced-motion: no-preference)'], css: '.md\\:motion-safe\\:flex { display: flex; }' };
+        expect(orderRules([mdMotion, lg, sm])).toEqual([sm, mdMotion, lg]);
+    });
+
+    test('keeps the generated order within a group across pages', () => {
+        expect(orderRules(mergeRules([paddingX], [padding, paddingX]))).toEqual([padding, paddingX]);
+        expect(orderRules(mergeRules([padding, paddingX], [paddingX]))).toEqual([padding, paddingX]);
+    });
+
+    test('merges rule lists without duplicates', () => {
+        expect(mergeRules([padding, hover], [paddingX, hover], [padding])).toEqual([padding, paddingX, hover]);
+    });
+
+    test('falls back to first-seen order when pages disagree', () => {
+        expect(mergeRules([paddingX, padding], [padding, paddingX])).toEqual([paddingX, padding]);
+    });
+
+    test('places bundled external CSS after base styles', () => {
+        const external = { at: [], css: '/* External CSS from: http://localhost:7890/style.css */\n.btn { color: red; }' };
+        expect(orderRules([padding, external, preflight])).toEqual([preflight, external, padding]);
+    });
+});
@@ -0,0 +1,22 @@
+const { outputName } = require('../src/index');
+
+describe('outputName', () => {
+    test('mirrors the source tree by default', () => {
+        expect(outputName('index.php')).toBe('index.php');
+        expect(outputName('blog/index.php')).toBe('blog/index.php');
+        expect(outputName('shop/index.php', 'mirror')).toBe('shop/index.php');
+    });
+
+    test('joins path segments with ~ in flat mode', () => {
+        expect(outputName('index.php', 'flat')).toBe('index.php');
+        expect(outputName('blog/index.php', 'flat')).toBe('blog~index.php');
+        expect(outputName('shop/index.php', 'flat')).toBe('shop~index.php');
+    });
+
+    test('escapes ~ and % so flat names never collide', () => {
+        expect(outputName('a~b/index.html', 'flat')).toBe('a%7Eb~index.html');
+        expect(outputName('a/b~index.html', 'flat')).toBe('a~b%7Eindex.html');
+        expect(outputName('100%/index.html', 'flat')).toBe('100%25~index.html');
+        expect(outputName('a~/b.html', 'flat')).not.toBe(outputName('a/~b.html', 'flat'));
+    });
+});
@@ -0,0 +1,76 @@
+const { extractTailwind } = require('../src/index');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const page = classes => `<html><head></head><body><div class="${classes}"></div><script src="app.js"></script></body></html>`;
+
+describe('page cache', () => {
+    let input;
+    let logs;
+
+    const build = () => extractTailwind({
+        input,
+        outputDir: path.join(input, 'windrip'),
+        configFile: path.join(input, 'tailwind.config.js'),
+        fileExtensions: ['html', 'php'],
+        static: true,
+        autoInstall: false,
+        backupOriginals: false,
+        verbose: true,
+    });
+    const hits = () => logs.filter(line => line.includes('Using cached CSS')).length;
+    const readOutput = name => fs.readFileSync(path.join(input, 'windrip', name), 'utf-8');
+
+    beforeEach(() => {
+        input = fs.mkdtempSync(path.join(os.tmpdir(), 'windrip-cache-'));
+        fs.writeFileSync(path.join(input, 'index.html'), page('p-4'));
+        fs.writeFileSync(path.join(input, 'app.js'), 'window.app = 1;');
+        logs = [];
+        jest.spyOn(console, 'log').mockImplementation(message => logs.push(String(message)));
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(input, { recursive: true, force: true });
+    });
+
+    test('stores the CSS and scripts of a page', async () => {
+        await build();
+        expect(hits()).toBe(0);
+        const entry = JSON.parse(fs.readFileSync(path.join(input, 'windrip', '.windrip-cache', 'index.html.json'), 'utf-8'));
+        expect(entry.rules.some(rule => rule.css.includes('.p-4'))).toBe(true);
+        expect(entry.scripts).toEqual([{ tag: '<script src="app.js"></script>', label: 'app.js', code: 'window.app = 1;' }]);
+        expect(Object.keys(entry.scriptFiles)).toEqual(['app.js']);
+    });
+
+    test('reuses the cached scripts of unchanged pages', async () => {
+        await build();
+        const readFile = jest.spyOn(require('fs').promises, 'readFile');
+        await build();
+        expect(hits()).toBe(1);
+        expect(readFile.mock.calls.map(([file]) => file)).not.toContain(path.join(input, 'app.js'));
+        expect(readOutput('index.html.css')).toContain('.p-4');
+        expect(readOutput('index.html.js')).toContain('window.app = 1;');
+    });
+
+    test('renders a page again when its source changes', async () => {
+        await build();
+        fs.writeFileSync(path.join(input, 'index.html'), page('p-8'));
+        await build();
+        expect(hits()).toBe(0);
+        expect(readOutput('index.html.css')).toContain('.p-8');
+    });
+
+    test('renders a page again when a script it bundles changes', async () => {
+        await build();
+        fs.writeFileSync(path.join(input, 'app.js'), 'window.app = 2;');
+        // Modification times can be coarse, so make sure this one differs
+        const later = new Date(Date.now() + 5000);
+        fs.utimesSync(path.join(input, 'app.js'), later, later);
+        await build();
+        expect(hits()).toBe(0);
+        expect(readOutput('index.html.js')).toContain('window.app = 2;');
+    });
+});
@@ -0,0 +1,46 @@
+const { buildFingerprint, pageCacheKey, linkBuildFiles } = require('../src/index');
+const path = require('path');
+
+describe('buildFingerprint', () => {
+    const config = { configFile: 'missing.config.js', tailwindCdn: 'https://cdn.tailwindcss.com', safelist: ['btn'], preflight: true };
+    const runtime = { source: 'cdn', version: '3.4.5' };
+
+    test('is stable for the same config and runtime', async () => {
+        expect(await buildFingerprint(config, runtime)).toBe(await buildFingerprint({ ...config }, { ...runtime }));
+    });
+
+    test('changes with options that shape the CSS', async () => {
+        const fingerprint = await buildFingerprint(config, runtime);
+        expect(await buildFingerprint({ ...config, safelist: ['btn', /^bg-/] }, runtime)).not.toBe(fingerprint);
+        expect(await buildFingerprint({ ...config, preflight: false }, runtime)).not.toBe(fingerprint);
+        expect(await buildFingerprint(config, { sha256: 'abc' })).not.toBe(fingerprint);
+    });
+});
+
+describe('pageCacheKey', () => {
+    const source = '<html><head><title>Home</title></head><body class="p-4"></body></html>';
+
+    test('changes with the content, interactions and fingerprint', () => {
+        const key = pageCacheKey('a', source, []);
+        expect(pageCacheKey('a', source.replace('p-4', 'p-8'), [])).not.toBe(key);
+        expect(pageCacheKey('a', source, [{ click: '#menu' }])).not.toBe(key);
+        expect(pageCacheKey('b', source, [])).not.toBe(key);
+    });
+
+    test('ignores the live reload client', () => {
+        const reloading = source.replace('</head>', '<script data-windrip-live-reload>reload()</script></head>');
+        expect(pageCacheKey('a', reloading, [])).toBe(pageCacheKey('a', source, []));
+    });
+
+    test('matches the linked template on the next run, but not edits made during the build', () => {
+        const file = path.join('site', 'index.html');
+        const link = content => linkBuildFiles(content, file, 'index.css', 'index.js', 'windrip', false, { bundledScripts: [] });
+        const linked = link(source);
+        expect(linked).toContain('<link rel="stylesheet" href="../windrip/index.css">');
+        // The next run reads the linked file and links it again
+        expect(link(linked)).toBe(linked);
+        expect(pageCacheKey('a', link(linked), [])).toBe(pageCacheKey('a', linked, []));
+        const edited = link(source.replace('p-4', 'p-8'));
+        expect(pageCacheKey('a', edited, [])).not.toBe(pageCacheKey('a', linked, []));
+    });
+});
@@ -0,0 +1,28 @@
+const { parseCommand } = require('../src/index');
+
+describe('parseCommand', () => {
+    test('splits on any whitespace and ignores repeated spaces', () => {
+        expect(parseCommand('php  -S\tlocalhost:{port}')).toEqual(['php', '-S', 'localhost:{port}']);
+        expect(parseCommand('  npx http-server  ')).toEqual(['npx', 'http-server']);
+    });
+
+    test('keeps quoted arguments together', () => {
+        expect(parseCommand('php -S localhost:8000 -t "public dir"')).toEqual(['php', '-S', 'localhost:8000', '-t', 'public dir']);
+        expect(parseCommand("sh -c 'npm run dev -- --port {port}'")).toEqual(['sh', '-c', 'npm run dev -- --port {port}']);
+        expect(parseCommand('echo ""')).toEqual(['echo', '']);
+    });
+
+    test('joins adjacent quoted and unquoted parts', () => {
+        expect(parseCommand('--root="my site"/public')).toEqual(['--root=my site/public']);
+    });
+
+    test('handles backslash escapes like a shell', () => {
+        expect(parseCommand('serve my\\ site')).toEqual(['serve', 'my site']);
+        expect(parseCommand('echo "say \\"hi\\""')).toEqual(['echo', 'say "hi"']);
+        expect(parseCommand("echo 'C:\\path'")).toEqual(['echo', 'C:\\path']);
+    });
+
+    test('throws on unterminated quotes', () => {
+        expect(() => parseCommand('php -t "public')).toThrow('Unterminated " quote');
+    });
+});
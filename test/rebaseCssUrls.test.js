@@ -0,0 +1,63 @@
+const { rebaseCssUrls, localizeAssetUrls } = require('../src/index');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+describe('rebaseCssUrls', () => {
+    const origin = 'http://localhost:7890';
+    const href = `${origin}/css/site.css`;
+
+    test('marks same-origin URLs for the build', () => {
+        expect(rebaseCssUrls('.a { src: url(../fonts/x.woff2?v=1) }', href, origin))
+            .toBe('.a { src: url("windrip-asset:/fonts/x.woff2?v=1") }');
+        expect(rebaseCssUrls(".b { background: url('/img/bg.png') }", href, origin))
+            .toBe('.b { background: url("windrip-asset:/img/bg.png") }');
+    });
+
+    test('makes URLs on other hosts absolute', () => {
+        expect(rebaseCssUrls('.a { src: url(x.woff2) }', 'https://cdn.example.com/lib/font.css', origin))
+            .toBe('.a { src: url("https://cdn.example.com/lib/x.woff2") }');
+    });
+
+    test('leaves data URIs and fragments alone', () => {
+        const css = '.a { background: url(data:image/png;base64,AAA) } .b { fill: url(#gradient) }';
+        expect(rebaseCssUrls(css, href, origin)).toBe(css);
+    });
+});
+
+describe('localizeAssetUrls', () => {
+    let root;
+    let options;
+
+    beforeEach(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'windrip-assets-'));
+        await fs.mkdir(path.join(root, 'src', 'fonts'), { recursive: true });
+        await fs.writeFile(path.join(root, 'src', 'fonts', 'x.woff2'), 'font');
+        options = {
+            input: path.join(root, 'src'),
+            outputDir: path.join(root, 'windrip'),
+            copyAssets: false,
+            assetsDir: 'assets',
+            copied: new Map(),
+        };
+    });
+
+    afterEach(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    test('points URLs at the input files relative to the build file', async () => {
+        const css = '.a { src: url("windrip-asset:/fonts/x.woff2?v=1") }';
+        expect(await localizeAssetUrls(css, 'blog/index.php.css', options))
+            .toBe('.a { src: url("../../src/fonts/x.woff2?v=1") }');
+    });
+
+    test('copies assets under hashed names', async () => {
+        const css = '.a { src: url("windrip-asset:/fonts/x.woff2?v=1#a") }';
+        const result = await localizeAssetUrls(css, 'blog/index.php.css', { ...options, copyAssets: true });
+        expect(result).toMatch(/^\.a \{ src: url\("\.\.\/assets\/x\.[0-9a-f]{8}\.woff2#a"\) \}$/);
+        const [copied] = await fs.readdir(path.join(root, 'windrip', 'assets'));
+        expect(result).toContain(copied);
+        expect(options.copied.get('/fonts/x.woff2')).toBe(`assets/${copied}`);
+    });
+});
@@ -0,0 +1,64 @@
+const { removeStaleAssets } = require('../src/index');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('removeStaleAssets', () => {
+    let outputDir;
+    let manifestPath;
+
+    const write = (file, content = '') => {
+        fs.mkdirSync(path.dirname(path.join(outputDir, file)), { recursive: true });
+        fs.writeFileSync(path.join(outputDir, file), content);
+    };
+    const exists = file => fs.existsSync(path.join(outputDir, file));
+    const asset = file => ({ file, bytes: 0, hash: '' });
+
+    beforeEach(() => {
+        outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'windrip-stale-'));
+        manifestPath = path.join(outputDir, 'windrip-manifest.json');
+        ['build.1a2b3c4d.css', 'build.1a2b3c4d.js', 'build.5e6f7a8b.css', 'blog/index.php.9c0d1e2f.css', 'vendor.0badc0de.js'].forEach(file => write(file));
+        write('windrip-manifest.json', JSON.stringify({
+            pages: {
+                'index.html': { css: [asset('build.1a2b3c4d.css')], js: [asset('build.1a2b3c4d.js')] },
+                'blog/index.php': { css: [asset('blog/index.php.9c0d1e2f.css')], js: [] },
+            },
+        }));
+    });
+
+    afterEach(() => {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    });
+
+    test('deletes files the previous manifest lists that are no longer written', async () => {
+        await removeStaleAssets(outputDir, manifestPath, new Set(['build.5e6f7a8b.css', 'build.1a2b3c4d.js']), false);
+        expect(exists('build.1a2b3c4d.css')).toBe(false);
+        expect(exists('blog/index.php.9c0d1e2f.css')).toBe(false);
+        expect(exists('build.1a2b3c4d.js')).toBe(true);
+        expect(exists('build.5e6f7a8b.css')).toBe(true);
+    });
+
+    test('keeps files no manifest lists, even with hashed names', async () => {
+        await removeStaleAssets(outputDir, manifestPath, new Set(), false);
+        expect(exists('vendor.0badc0de.js')).toBe(true);
+        expect(exists('build.5e6f7a8b.css')).toBe(true);
+    });
+
+    test('deletes nothing without a previous manifest', async () => {
+        fs.unlinkSync(manifestPath);
+        await removeStaleAssets(outputDir, manifestPath, new Set(), false);
+        expect(exists('build.1a2b3c4d.css')).toBe(true);
+    });
+
+    test('ignores files outside the output directory', async () => {
+        const outside = path.join(os.tmpdir(), `windrip-outside-${process.pid}.css`);
+        fs.writeFileSync(outside, '');
+        try {
+            write('windrip-manifest.json', JSON.stringify({ pages: { 'index.html': { css: [asset(path.relative(outputDir, outside))], js: [] } } }));
+            await removeStaleAssets(outputDir, manifestPath, new Set(), false);
+            expect(fs.existsSync(outside)).toBe(true);
+        } finally {
+            fs.rmSync(outside, { force: true });
+        }
+    });
+});
@@ -0,0 +1,25 @@
+const { extractClasses, resolveExtractors } = require('../src/index');
+
+describe('resolveExtractors', () => {
+    test('adds user extractors after the built-in ones', () => {
+        const custom = content => Array.from(content.matchAll(/data-tw="([^"]+)"/g), match => match[1]);
+        const extractors = resolveExtractors({ php: custom });
+        expect(extractors.php).toHaveLength(3);
+        expect(extractors.php[2]).toBe(custom);
+        const classes = extractClasses('<div data-tw="p-4 shadow" @class([\'flex\'])></div>', 'php', extractors);
+        ['p-4', 'shadow', 'flex'].forEach(cls => expect(classes.has(cls)).toBe(true));
+    });
+
+    test('registers extractors for new extensions and for every file', () => {
+        const extractors = resolveExtractors({
+            liquid: [content => content.match(/tw:[\w-]+/g).map(token => token.slice(3))],
+            '*': () => ['sr-only'],
+        });
+        const classes = extractClasses('{{ "tw:underline" }}', 'liquid', extractors);
+        expect([...classes].sort()).toEqual(['sr-only', 'underline']);
+    });
+
+    test('rejects extractors that are not functions', () => {
+        expect(() => resolveExtractors({ php: 'not a function' })).toThrow('Extractor for .php files must be a function');
+    });
+});
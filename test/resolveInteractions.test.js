@@ -0,0 +1,22 @@
+const { resolveInteractions } = require('../src/index');
+
+describe('resolveInteractions', () => {
+    test('returns steps from every matching pattern in config order', () => {
+        const openMenu = async () => { };
+        const interactions = {
+            '**': [{ click: '#cookie-accept' }],
+            'index.php': [{ click: '#menu-toggle' }, { hover: '.dropdown' }],
+            '/products*': openMenu,
+        };
+        expect(resolveInteractions(interactions, 'index.php')).toEqual([
+            { click: '#cookie-accept' },
+            { click: '#menu-toggle' },
+            { hover: '.dropdown' },
+        ]);
+        expect(resolveInteractions(interactions, '/products?page=2')).toEqual([{ click: '#cookie-accept' }, openMenu]);
+    });
+
+    test('returns no steps without an interactions config', () => {
+        expect(resolveInteractions(null, 'index.php')).toEqual([]);
+    });
+});
@@ -0,0 +1,39 @@
+const { runPool } = require('../src/index');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('runPool', () => {
+    test('returns results in item order regardless of completion order', async () => {
+        const results = await runPool([30, 5, 20, 1], 3, async ms => {
+            await delay(ms);
+            return ms;
+        });
+        expect(results).toEqual([30, 5, 20, 1]);
+    });
+
+    test('never runs more than the given number of workers at once', async () => {
+        let running = 0;
+        let peak = 0;
+        await runPool(Array.from({ length: 8 }, (_, i) => i), 3, async () => {
+            running++;
+            peak = Math.max(peak, running);
+            await delay(5);
+            running--;
+        });
+        expect(peak).toBe(3);
+    });
+
+    test('passes each worker a stable index below the concurrency', async () => {
+        const workers = new Set();
+        await runPool([1, 2, 3, 4, 5], 2, async (item, index, worker) => {
+            workers.add(worker);
+            await delay(1);
+        });
+        expect([...workers].sort()).toEqual([0, 1]);
+    });
+
+    test('handles fewer items than workers', async () => {
+        expect(await runPool([], 4, async x => x)).toEqual([]);
+        expect(await runPool(['a'], 4, async x => x.toUpperCase())).toEqual(['A']);
+    });
+});
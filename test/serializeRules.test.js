@@ -0,0 +1,40 @@
+const { serializeRules } = require('../src/index');
+
+describe('serializeRules', () => {
+    test('serializes top-level rules in order', () => {
+        const css = serializeRules([
+            { at: [], css: '.flex { display: flex; }' },
+            { at: [], css: '.p-4 { padding: 1rem; }' },
+        ]);
+        expect(css).toBe('.flex { display: flex; }\n.p-4 { padding: 1rem; }\n');
+    });
+
+    test('regroups consecutive rules sharing an at-rule context', () => {
+        const css = serializeRules([
+            { at: [], css: '.flex { display: flex; }' },
+            { at: ['@media (min-width: 768px)'], css: '.md\\:flex { display: flex; }' },
+            { at: ['@media (min-width: 768px)'], css: '.md\\:p-4 { padding: 1rem; }' },
+            { at: [], css: '.hidden { display: none; }' },
+        ]);
+        expect(css).toBe(
+            '.flex { display: flex; }\n' +
+            '@media (min-width: 768px) {\n.md\\:flex { display: flex; }\n.md\\:p-4 { padding: 1rem; }\n}\n' +
+            '.hidden { display: none; }\n'
+        );
+    });
+
+    test('handles nested grouping rules', () => {
+        const css = serializeRules([
+            { at: ['@supports (display: grid)', '@media (min-width: 640px)'], css: '.sm\\:grid { display: grid; }' },
+            { at: ['@supports (display: grid)'], css: '.grid { display: grid; }' },
+        ]);
+        expect(css).toBe(
+            '@supports (display: grid) {\n@media (min-width: 640px) {\n.sm\\:grid { display: grid; }\n}\n' +
+            '.grid { display: grid; }\n}\n'
+        );
+    });
+
+    test('returns an empty string for no rules', () => {
+        expect(serializeRules([])).toBe('');
+    });
+});
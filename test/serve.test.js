@@ -0,0 +1,102 @@
+const { serve } = require('../src/index');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const TAILWIND_CDN = 'https://cdn.tailwindcss.com';
+const PAGE = '<html><head></head><body><div class="p-4"></div></body></html>';
+
+// Resolves to the status, headers and body the proxy answered with
+const send = (port, pathname, method = 'GET', headers = {}) => new Promise((resolve, reject) => {
+    const request = http.request({ port, path: pathname, method, headers }, response => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => resolve({
+            status: response.statusCode,
+            headers: response.headers,
+            body: Buffer.concat(chunks).toString('utf-8'),
+        }));
+    });
+    request.on('error', reject);
+    request.end(method === 'POST' ? 'name=value' : undefined);
+});
+
+describe('serve', () => {
+    let upstream;
+    let proxy;
+
+    beforeAll(async () => {
+        upstream = http.createServer((req, res) => {
+            if (req.url === '/empty') {
+                res.writeHead(200, { 'content-type': 'text/html', 'content-length': '0' });
+                res.end();
+            } else if (req.url === '/cached') {
+                res.writeHead(304, { 'content-type': 'text/html', 'etag': '"1"' });
+                res.end();
+            } else if (req.url === '/missing') {
+                res.writeHead(404, { 'content-type': 'text/html' });
+                res.end('<html><head></head><body>Not found</body></html>');
+            } else if (req.url === '/style.css') {
+                res.writeHead(200, { 'content-type': 'text/css' });
+                res.end('body { margin: 0; }');
+            } else {
+                res.writeHead(200, { 'content-type': 'text/html; charset=utf-8', 'content-length': Buffer.byteLength(PAGE) });
+                res.end(PAGE);
+            }
+        });
+        await new Promise(resolve => upstream.listen(0, resolve));
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+        proxy = await serve({
+            proxyTarget: `http://localhost:${upstream.address().port}`,
+            proxyPort: 45141,
+            configFile: path.join(os.tmpdir(), 'missing-tailwind.config.js'),
+        });
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+        proxy.close();
+        upstream.closeAllConnections();
+        return new Promise(resolve => upstream.close(resolve));
+    });
+
+    test('injects the CDN into HTML pages', async () => {
+        const response = await send(proxy.port, '/');
+        expect(response.status).toBe(200);
+        expect(response.body).toContain(`<script src="${TAILWIND_CDN}"></script>`);
+        expect(Number(response.headers['content-length'])).toBe(Buffer.byteLength(response.body));
+    });
+
+    test('passes HEAD responses through unmodified', async () => {
+        const response = await send(proxy.port, '/', 'HEAD');
+        expect(response.status).toBe(200);
+        expect(response.headers['content-length']).toBe(String(Buffer.byteLength(PAGE)));
+        expect(response.body).toBe('');
+    });
+
+    test('passes 304 responses through unmodified', async () => {
+        const response = await send(proxy.port, '/cached', 'GET', { 'if-none-match': '"1"' });
+        expect(response.status).toBe(304);
+        expect(response.headers.etag).toBe('"1"');
+        expect(response.headers['content-length']).toBeUndefined();
+        expect(response.body).toBe('');
+    });
+
+    test('passes empty responses through unmodified', async () => {
+        const response = await send(proxy.port, '/empty');
+        expect(response.status).toBe(200);
+        expect(response.headers['content-length']).toBe('0');
+        expect(response.body).toBe('');
+    });
+
+    test('leaves error pages and other methods alone', async () => {
+        expect((await send(proxy.port, '/missing')).body).not.toContain(TAILWIND_CDN);
+        expect((await send(proxy.port, '/', 'POST')).body).toBe(PAGE);
+    });
+
+    test('passes other content through', async () => {
+        const response = await send(proxy.port, '/style.css');
+        expect(response.headers['content-type']).toBe('text/css');
+        expect(response.body).toBe('body { margin: 0; }');
+    });
+});
@@ -0,0 +1,68 @@
+const { splitCommonRules } = require('../src/index');
+
+describe('splitCommonRules', () => {
+    const flex = { at: [], css: '.flex { display: flex; }' };
+    const padding = { at: [], css: '.p-4 { padding: 1rem; }' };
+    const paddingX = { at: [], css: '.px-2 { padding-left: 0.5rem; padding-right: 0.5rem; }' };
+    const mdFlex = { at: ['@media (min-width: 768px)'], css: '.md\\:flex { display: flex; }' };
+    const hidden = { at: [], css: '.hidden { display: none; }' };
+    const lgGrid = { at: ['@media (min-width: 1024px)'], css: '.lg\\:grid { display: grid; }' };
+
+    test('moves rules used by enough pages into the common chunk', () => {
+        const { common, outputs } = splitCommonRules(new Map([
+            ['index.php', [flex, padding, mdFlex]],
+            ['about.php', [flex, mdFlex, lgGrid]],
+            ['contact.php', [padding]],
+        ]), 2);
+        expect(common).toEqual([flex, padding, mdFlex]);
+        expect(outputs.get('index.php')).toEqual([]);
+        expect(outputs.get('about.php')).toEqual([lgGrid]);
+        expect(outputs.get('contact.php')).toEqual([]);
+    });
+
+    test('distinguishes identical rules in different at-rule contexts', () => {
+        const printFlex = { at: ['@media print'], css: flex.css };
+        const { common, outputs } = splitCommonRules(new Map([
+            ['a', [flex]],
+            ['b', [printFlex]],
+        ]), 2);
+        expect(common).toEqual([]);
+        expect(outputs.get('b')).toEqual([printFlex]);
+    });
+
+    test('keeps variants in page files when a page-specific rule must come first', () => {
+        // hidden md:flex on one page, md:flex on another: md:flex must still load after hidden
+        const { common, outputs } = splitCommonRules(new Map([
+            ['a.html', [hidden, mdFlex]],
+            ['b.html', [mdFlex]],
+        ]), 2);
+        expect(common).toEqual([]);
+        expect(outputs.get('a.html')).toEqual([hidden, mdFlex]);
+        expect(outputs.get('b.html')).toEqual([mdFlex]);
+    });
+
+    test('keeps utilities in page files when a page-specific utility must come first', () => {
+        // p-4 px-2 on one page, px-2 on another: px-2 must still load after p-4
+        const { common, outputs } = splitCommonRules(new Map([
+            ['a.html', [padding, paddingX]],
+            ['b.html', [paddingX]],
+        ]), 2);
+        expect(common).toEqual([]);
+        expect(outputs.get('a.html')).toEqual([padding, paddingX]);
+        expect(outputs.get('b.html')).toEqual([paddingX]);
+    });
+
+    test('still shares utilities next to page-specific rules', () => {
+        const { common, outputs } = splitCommonRules(new Map([
+            ['a.html', [flex, hidden]],
+            ['b.html', [flex]],
+        ]), 2);
+        expect(common).toEqual([flex]);
+        expect(outputs.get('a.html')).toEqual([hidden]);
+    });
+
+    test('counts a rule once per page', () => {
+        const { common } = splitCommonRules(new Map([['a', [flex, flex]], ['b', [hidden]]]), 2);
+        expect(common).toEqual([]);
+    });
+});
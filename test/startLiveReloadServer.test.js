@@ -0,0 +1,79 @@
+const { startLiveReloadServer } = require('../src/index');
+const http = require('http');
+
+// Connects an SSE client; `events` collects the data of every message received
+const connect = port => new Promise((resolve, reject) => {
+    const client = { events: [], ended: false };
+    client.request = http.get({ port, path: '/events' }, response => {
+        client.response = response;
+        response.setEncoding('utf-8');
+        response.on('data', chunk => {
+            for (const [, data] of chunk.matchAll(/^data: (.*)$/gm)) client.events.push(data);
+        });
+        response.on('end', () => {
+            client.ended = true;
+        });
+        resolve(client);
+    });
+    client.request.on('error', reject);
+});
+
+const waitFor = async (check, timeout = 5000) => {
+    const started = Date.now();
+    while (!check()) {
+        if (Date.now() - started > timeout) throw new Error('Timed out');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+};
+
+describe('startLiveReloadServer', () => {
+    let server;
+    const port = 45161;
+
+    beforeEach(async () => {
+        server = await startLiveReloadServer(port);
+    });
+
+    afterEach(() => server.close());
+
+    test('sends events to every connected client', async () => {
+        const first = await connect(port);
+        const second = await connect(port);
+        await waitFor(() => server.clients() === 2);
+        server.send('css');
+        server.send('reload');
+        await waitFor(() => first.events.length === 2 && second.events.length === 2);
+        expect(first.events).toEqual(['css', 'reload']);
+        expect(second.events).toEqual(['css', 'reload']);
+        first.request.destroy();
+        second.request.destroy();
+    });
+
+    test('forgets clients that disconnect', async () => {
+        const first = await connect(port);
+        const second = await connect(port);
+        await waitFor(() => server.clients() === 2);
+        first.request.destroy();
+        await waitFor(() => server.clients() === 1);
+        server.send('reload');
+        await waitFor(() => second.events.length === 1);
+        expect(first.events).toEqual([]);
+        second.request.destroy();
+        await waitFor(() => server.clients() === 0);
+    });
+
+    test('ends client streams on close', async () => {
+        const client = await connect(port);
+        await waitFor(() => server.clients() === 1);
+        server.close();
+        await waitFor(() => client.ended);
+    });
+
+    test('answers other paths with 404', async () => {
+        const status = await new Promise(resolve => http.get({ port, path: '/' }, response => {
+            response.resume();
+            resolve(response.statusCode);
+        }));
+        expect(status).toBe(404);
+    });
+});
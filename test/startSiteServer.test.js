@@ -0,0 +1,66 @@
+const { execFile } = require('child_process');
+const fs = require('fs/promises');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// Like `npx http-server`: the command starts the server as a child sharing its output
+const PARENT = `
+const { spawn } = require('child_process');
+spawn(process.execPath, ['server.js', process.argv[2]], { stdio: 'inherit' });
+`;
+const SERVER = `
+require('fs').writeFileSync('server.pid', String(process.pid));
+require('http').createServer((req, res) => res.end('ok')).listen(Number(process.argv[2]), () => console.log('listening'));
+`;
+
+const freePort = () => new Promise(resolve => {
+    const probe = net.createServer().listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+const isRunning = pid => {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+describe('startSiteServer', () => {
+    let input;
+
+    beforeEach(async () => {
+        input = await fs.mkdtemp(path.join(os.tmpdir(), 'windrip-server-'));
+        await fs.writeFile(path.join(input, 'parent.js'), PARENT);
+        await fs.writeFile(path.join(input, 'server.js'), SERVER);
+    });
+
+    afterEach(async () => {
+        await fs.rm(input, { recursive: true, force: true });
+    });
+
+    test('stops the servers a command starts, so Node exits after the build', async () => {
+        const port = await freePort();
+        const script = `
+            require(${JSON.stringify(path.resolve(__dirname, '../src/index.js'))})
+                .startSiteServer(
+                    { input: ${JSON.stringify(input)}, serverCommand: 'node parent.js {port}', serverReadyPattern: 'listening', serverReadyTimeout: 10000 },
+                    { port: ${port}, pages: [] }
+                )
+                .then(site => site.close());
+        `;
+        const started = Date.now();
+        await new Promise((resolve, reject) => {
+            execFile(process.execPath, ['-e', script], { timeout: 20000 }, err => (err ? reject(err) : resolve()));
+        });
+        expect(Date.now() - started).toBeLessThan(15000);
+        const pid = Number(await fs.readFile(path.join(input, 'server.pid'), 'utf-8'));
+        // The signal may take a moment to land
+        for (let attempt = 0; attempt < 20 && isRunning(pid); attempt++) await new Promise(resolve => setTimeout(resolve, 100));
+        expect(isRunning(pid)).toBe(false);
+    }, 30000);
+});
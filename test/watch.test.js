@@ -0,0 +1,137 @@
+const { watch, extractTailwind } = require('../src/index');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Static builds don't render pages, but watch mode still opens a browser for the session
+jest.mock('puppeteer');
+
+const SERVER = `
+require('http').createServer((req, res) => res.end('ok')).listen(Number(process.argv[2]), () => console.log('listening'));
+`;
+
+describe('watch', () => {
+    let input;
+    let logs;
+    let errors;
+    let onLog;
+
+    const waitFor = async (check, timeout = 15000) => {
+        const started = Date.now();
+        while (!check()) {
+            if (Date.now() - started > timeout) throw new Error('Timed out');
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+    };
+    const rebuilds = () => logs.filter(line => line.startsWith('🔄 Rebuilding'));
+
+    beforeEach(() => {
+        input = fs.mkdtempSync(path.join(os.tmpdir(), 'windrip-watch-'));
+        fs.writeFileSync(path.join(input, 'index.html'), '<html><head></head><body><div class="p-4"></div></body></html>');
+        fs.writeFileSync(path.join(input, 'server.js'), SERVER);
+        fs.writeFileSync(path.join(input, 'tailwind-3.4.0.js'), '/*! tailwindcss v3.4.0 */');
+        logs = [];
+        errors = [];
+        onLog = () => { };
+        jest.spyOn(console, 'log').mockImplementation(message => {
+            logs.push(String(message));
+            onLog(String(message));
+        });
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+        jest.spyOn(console, 'error').mockImplementation((...args) => errors.push(args.join(' ')));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(input, { recursive: true, force: true });
+    });
+
+    const start = (options = {}) => watch({
+        input,
+        outputDir: path.join(input, 'windrip'),
+        configFile: path.join(input, 'tailwind.config.js'),
+        fileExtensions: ['html', 'php'],
+        static: true,
+        tailwindRuntime: path.join(input, 'tailwind-3.4.0.js'),
+        serverCommand: 'node server.js {port}',
+        serverReadyPattern: 'listening',
+        autoInstall: false,
+        backupOriginals: false,
+        liveReload: false,
+        watchDebounce: 50,
+        ...options,
+    });
+
+    test('rebuilds for edits saved during the first build', async () => {
+        onLog = message => {
+            // The first build has read and linked the page; this edit comes too late for it
+            if (message.includes('Build completed successfully') && rebuilds().length === 1) {
+                fs.writeFileSync(path.join(input, 'index.html'), '<html><head></head><body><div class="p-8"></div></body></html>');
+            }
+        };
+        const { close } = await start();
+        try {
+            await waitFor(() => rebuilds().length === 2);
+            expect(rebuilds()[1]).toContain('index.html changed');
+            await waitFor(() => logs.some(line => line.includes('Rebuild completed')) && logs.filter(line => line.includes('Rebuild completed')).length === 2);
+            expect(fs.readFileSync(path.join(input, 'windrip', 'index.html.css'), 'utf-8')).toContain('.p-8');
+        } finally {
+            await close();
+        }
+    }, 30000);
+
+    test('tells connected pages to reload after a rebuild', async () => {
+        const { close } = await start({ liveReload: true, liveReloadPort: 45171 });
+        let request = null;
+        try {
+            // The client injected into the template names the port the server found free
+            const port = fs.readFileSync(path.join(input, 'index.html'), 'utf-8').match(/localhost:(\d+)\/events/)[1];
+            const events = [];
+            await new Promise((resolve, reject) => {
+                request = http.get({ port, path: '/events' }, response => {
+                    response.setEncoding('utf-8');
+                    response.on('data', chunk => {
+                        for (const [, data] of chunk.matchAll(/^data: (.*)$/gm)) events.push(data);
+                    });
+                    resolve();
+                });
+                request.on('error', reject);
+            });
+            // chokidar drops a change within 50ms of the last one, here the build linking the page
+            await new Promise(resolve => setTimeout(resolve, 200));
+            fs.writeFileSync(path.join(input, 'index.html'), '<html><head></head><body><div class="p-8"></div></body></html>');
+            await waitFor(() => events.length > 0);
+            expect(events).toEqual(['reload']);
+        } finally {
+            if (request) request.destroy();
+            await close();
+        }
+    }, 30000);
+
+    test('keeps watching after the last template is deleted', async () => {
+        const { close } = await start();
+        try {
+            fs.unlinkSync(path.join(input, 'index.html'));
+            await waitFor(() => rebuilds().length === 2);
+            await waitFor(() => logs.filter(line => line.includes('Rebuild completed')).length === 2);
+            expect(errors).toEqual([]);
+        } finally {
+            await close();
+        }
+    }, 30000);
+});
+
+describe('extractTailwind without templates', () => {
+    test('returns no pages and no sources', async () => {
+        const input = fs.mkdtempSync(path.join(os.tmpdir(), 'windrip-empty-'));
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+        try {
+            expect(await extractTailwind({ input, outputDir: path.join(input, 'windrip'), fileExtensions: ['html'], autoInstall: false }))
+                .toEqual({ pages: [], sources: {} });
+        } finally {
+            jest.restoreAllMocks();
+            fs.rmSync(input, { recursive: true, force: true });
+        }
+    });
+});
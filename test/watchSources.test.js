@@ -0,0 +1,65 @@
+const { watchSources } = require('../src/index');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+describe('watchSources', () => {
+    let input;
+    let watcher;
+    const start = async (options = {}) => {
+        const events = [];
+        watcher = watchSources(
+            { input, outputDir: path.join(input, 'windrip'), fileExtensions: ['html', 'php'], recursive: true, ...options },
+            path.join(input, 'tailwind.config.js'),
+            (event, file) => events.push([event, path.relative(input, file)])
+        );
+        await new Promise(resolve => watcher.on('ready', resolve));
+        return events;
+    };
+    const settle = () => new Promise(resolve => setTimeout(resolve, 500));
+
+    beforeEach(async () => {
+        input = await fs.mkdtemp(path.join(os.tmpdir(), 'windrip-watch-'));
+        for (const dir of ['blog', 'windrip', path.join('node_modules', 'pkg')]) {
+            await fs.mkdir(path.join(input, dir), { recursive: true });
+        }
+        await fs.writeFile(path.join(input, 'index.html'), '<div class="p-4"></div>');
+        await fs.writeFile(path.join(input, 'blog', 'index.php'), '<div class="p-4"></div>');
+        await fs.writeFile(path.join(input, 'tailwind.config.js'), 'module.exports = {};');
+    });
+
+    afterEach(async () => {
+        await watcher.close();
+        await fs.rm(input, { recursive: true, force: true });
+    });
+
+    test('reports edits to sources and the Tailwind config', async () => {
+        const events = await start();
+        await fs.writeFile(path.join(input, 'index.html'), '<div class="p-8"></div>');
+        await fs.writeFile(path.join(input, 'blog', 'index.php'), '<div class="p-8"></div>');
+        await fs.writeFile(path.join(input, 'tailwind.config.js'), 'module.exports = { theme: {} };');
+        await settle();
+        expect(events).toEqual(expect.arrayContaining([
+            ['change', 'index.html'],
+            ['change', path.join('blog', 'index.php')],
+            ['change', 'tailwind.config.js'],
+        ]));
+    });
+
+    test('skips other extensions, build files and dependencies', async () => {
+        const events = await start();
+        await fs.writeFile(path.join(input, 'notes.txt'), 'p-4');
+        await fs.writeFile(path.join(input, 'windrip', 'index.html'), '<div></div>');
+        await fs.writeFile(path.join(input, 'node_modules', 'pkg', 'index.html'), '<div></div>');
+        await settle();
+        expect(events).toEqual([]);
+    });
+
+    test('stays in the input directory unless recursive', async () => {
+        const events = await start({ recursive: false });
+        await fs.writeFile(path.join(input, 'blog', 'index.php'), '<div class="p-8"></div>');
+        await fs.writeFile(path.join(input, 'about.html'), '<div></div>');
+        await settle();
+        expect(events).toEqual([['add', 'about.html']]);
+    });
+});